@@ -4,6 +4,41 @@ const ANIMATION_DURATIONS = {
   FADE_OUT: 300
 };
 
+// How often relative times ("2h ago", "playing for 47m") are refreshed between polls
+const RELATIVE_TIME_REFRESH_INTERVAL = 60000;
+
+// Auto-scroll ticker: tick length and scroll step per tick derive from paging.scrollSpeed (px/s)
+const SCROLL_TICK_INTERVAL = 50;
+
+// Values accepted by the layout option; anything else falls back to the table
+const LAYOUTS = ["table", "grid", "marquee"];
+
+// Values accepted by the theme option; each maps to a .theme-* class in steam.css
+const THEMES = ["steam-classic", "monochrome-mirror", "high-contrast"];
+
+// statusColors keys, each overriding the --steam-<key> color of the theme
+const STATUS_COLOR_KEYS = ["online", "ingame", "busy", "away", "snooze", "offline"];
+
+// Values accepted by the STEAM_FRIENDS_SET_SORT notification
+const SORT_METHODS = ["alphabetic", "recentActivity", "totalPlaytime"];
+
+// Module notification sent for each transition event reported by node_helper
+const TRANSITION_NOTIFICATIONS = {
+  online: "STEAM_FRIEND_ONLINE",
+  offline: "STEAM_FRIEND_OFFLINE",
+  game_start: "STEAM_FRIEND_GAME_STARTED",
+  game_stop: "STEAM_FRIEND_GAME_STOPPED",
+  game_change: "STEAM_FRIEND_GAME_CHANGED"
+};
+
+// Platform badge icons and label translations, keyed by the platform reported by node_helper
+const PLATFORM_ICONS = {
+  pc: { icon: "icons/pc.svg", label: "PLATFORM_PC" },
+  deck: { icon: "icons/deck.svg", label: "PLATFORM_DECK" },
+  web: { icon: "icons/web.svg", label: "PLATFORM_WEB" },
+  mobile: { icon: "icons/mobile.svg", label: "PLATFORM_MOBILE" }
+};
+
 Module.register("MMM-SteamFriends", {
   defaults: {
     setup: false,
@@ -11,12 +46,92 @@ Module.register("MMM-SteamFriends", {
     steamApiKey: "",
     updateInterval: 60000,
     friendAllowlist: [],
+    friendBlocklist: [],
+    filters: {
+      maxOfflineDays: 0,
+      hideStatuses: [],
+      onlyGames: [],
+      countries: [],
+      excludeCountries: []
+    },
+    layout: "table",
+    grid: {
+      columns: 6,
+      capsuleRotation: true
+    },
+    marquee: {
+      secondsPerFriend: 5
+    },
     borderRadius: "16px",
+    theme: "steam-classic",
+    statusColors: {},
+    customStylesheet: "",
     maxFriends: 50,
+    paging: {
+      enabled: false,
+      mode: "pages",
+      interval: 15000,
+      scrollSpeed: 20
+    },
     sortFriends: "alphabetic",
     scale: 0.7,
     showGameCapsule: false,
     gameCapsuleSize: "small",
+    showPlatform: true,
+    showStatusText: false,
+    localizeGameNames: true,
+    showOwners: false,
+    broadcastNotifications: true,
+    focusDuration: 30000,
+    profileCard: {
+      enabled: false,
+      recentGames: 3
+    },
+    groups: [],
+    showUngrouped: true,
+    playingTogether: {
+      enabled: false,
+      matchBy: "game",
+      minFriends: 2
+    },
+    recentGames: {
+      enabled: false,
+      maxGames: 3,
+      refreshHours: 6
+    },
+    history: {
+      enabled: false,
+      maxEventsPerFriend: 50,
+      showPlayingFor: true,
+      showLastPlayed: true
+    },
+    stats: {
+      enabled: false,
+      days: 7,
+      mode: "page",
+      pageInterval: 30000,
+      topGames: 5,
+      topFriends: 5
+    },
+    webhooks: [],
+    api: {
+      enabled: false
+    },
+    mqtt: {
+      enabled: false,
+      url: "mqtt://localhost:1883",
+      username: "",
+      password: "",
+      baseTopic: "steamfriends",
+      discovery: true,
+      discoveryPrefix: "homeassistant",
+      applyFilters: true
+    },
+    setupQrTargets: [],
+    setupWizard: {
+      enabled: true,
+      publicUrl: ""
+    },
     animations: {
       enabled: true,
       gamingPulse: true,
@@ -36,15 +151,20 @@ Module.register("MMM-SteamFriends", {
       refreshDays: 7,
       minReviews: 50,
       showPercentSign: true,
+      reviewLanguage: "all",
       colors: {
-        high: "#57cbde",
-        mid: "#a3a3a3",
-        low: "#842c2c"
+        high: "",
+        mid: "",
+        low: ""
       },
       thresholds: {
         high: 80,
         mid: 50
       }
+    },
+    endpoints: {
+      api: "https://api.steampowered.com",
+      store: "https://store.steampowered.com"
     }
   },
 
@@ -52,46 +172,233 @@ Module.register("MMM-SteamFriends", {
     this.friends = [];
     this.friendsMap = new Map();
     this.previousStates = new Map();
-    this.sendSocketNotification("INIT", this.config);
+    this.setupQrCodes = [];
+    this.credentialsConfigured = false;
+    this.groupMembers = [];
+    this.focusedFriendId = null;
+    this.focusTimer = null;
+    this.activityStats = null;
+    this.showingStats = false;
+    this.profile = null;
+    this.pageIndex = 0;
+    this.scrollPosition = 0;
+    this.scrollPauseUntil = 0;
+    this.scrollViewportSized = false;
+    this.timers = [];
+    this.startTimers();
+    this.sendToHelper("INIT", { config: this.config, language: this.getLanguage() });
+  },
+
+  // Relative times, paging, the scroll ticker and the stats page only run while the module is shown
+  startTimers() {
+    this.stopTimers();
+    if (this.showsRelativeTimes()) {
+      this.timers.push(setInterval(() => this.refreshRelativeTimes(), RELATIVE_TIME_REFRESH_INTERVAL));
+    }
+    if (this.isPaging("pages")) {
+      this.timers.push(setInterval(() => this.nextPage(), this.config.paging.interval));
+    }
+    if (this.isPaging("scroll")) {
+      this.timers.push(setInterval(() => this.scrollTick(), SCROLL_TICK_INTERVAL));
+    }
+    if (this.config.stats.enabled && this.config.stats.mode === "page") {
+      this.timers.push(setInterval(() => this.toggleStatsPage(), this.config.stats.pageInterval));
+    }
+  },
+
+  stopTimers() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  },
+
+  // The helper serves every instance, so notifications carry this instance's identifier both ways
+  sendToHelper(notification, payload = {}) {
+    this.sendSocketNotification(notification, { identifier: this.identifier, ...payload });
+  },
+
+  // DOM lookups stay inside this instance's wrapper so several instances don't update each other
+  getRoot() {
+    const wrapper = document.getElementById(this.identifier);
+    return wrapper ? wrapper.querySelector(".steam-root") : null;
+  },
+
+  queryRoot(selector) {
+    const root = this.getRoot();
+    return root ? root.querySelector(selector) : null;
+  },
+
+  queryRootAll(selector) {
+    const root = this.getRoot();
+    return root ? Array.from(root.querySelectorAll(selector)) : [];
+  },
+
+  getTranslations() {
+    return {
+      en: "translations/en.json",
+      de: "translations/de.json"
+    };
+  },
+
+  // The helper uses it for review and store game name languages
+  getLanguage() {
+    return typeof config !== "undefined" && config.language ? config.language : "en";
+  },
+
+  // Localized persona state; the helper sends a language-neutral state code
+  getStatusText(friend) {
+    if (friend.inGame) return this.translate("IN_GAME");
+    return this.translate(`STATE_${(friend.state || "offline").toUpperCase()}`);
   },
 
   getStyles() {
-    return [
+    const styles = [
       "steam.css",
       "flags/flags.css"
     ];
+    // Loaded last so its rules and --steam-* variables win over the theme
+    if (this.config.customStylesheet) {
+      styles.push(this.config.customStylesheet);
+    }
+    return styles;
   },
 
-  socketNotificationReceived(notification, payload) {
+  getTheme() {
+    return THEMES.includes(this.config.theme) ? this.config.theme : "steam-classic";
+  },
+
+  applyTheme(root) {
+    root.classList.add(`theme-${this.getTheme()}`);
+    const statusColors = this.config.statusColors || {};
+    STATUS_COLOR_KEYS.forEach(key => {
+      if (statusColors[key]) {
+        root.style.setProperty(`--steam-${key}`, statusColors[key]);
+      }
+    });
+  },
+
+  socketNotificationReceived(notification, envelope) {
+    if (!envelope || envelope.identifier !== this.identifier) return;
+    const payload = envelope.payload;
+
     if (notification === "FRIENDS_UPDATE") {
       const previousFriends = new Map(this.friends.map(f => [f.id, f]));
       this.friends = payload;
       this.updateFriendsList(previousFriends);
     }
+    if (notification === "FRIEND_TRANSITIONS") {
+      this.broadcastTransitions(payload);
+    }
+    if (notification === "ACTIVITY_STATS") {
+      this.activityStats = payload;
+      this.updateStatsPanel();
+    }
+    if (notification === "PROFILE_UPDATE") {
+      this.profile = payload;
+      this.updateProfileCard();
+    }
+    if (notification === "FRIEND_GROUPS") {
+      this.groupMembers = payload;
+      this.updateDom();
+    }
+    if (notification === "SETUP_QR") {
+      this.setupQrCodes = payload;
+      this.updateDom();
+    }
+    if (notification === "SETUP_COMPLETE") {
+      this.credentialsConfigured = true;
+      this.updateDom();
+    }
     if (notification === "FETCH_ERROR") {
       console.warn("[MMM-SteamFriends] Error:", payload.message);
     }
   },
 
+  // Commands from other modules, e.g. MMM-Remote-Control or a voice assistant
+  notificationReceived(notification, payload) {
+    if (notification === "STEAM_FRIENDS_REFRESH") {
+      this.sendToHelper("REFRESH");
+    }
+    if (notification === "STEAM_FRIENDS_SET_SORT") {
+      const sort = payload && typeof payload === "object" ? payload.sort : payload;
+      if (!SORT_METHODS.includes(sort)) {
+        console.warn(`[MMM-SteamFriends] Unknown sort "${sort}", expected one of ${SORT_METHODS.join(", ")}`);
+        return;
+      }
+      this.config.sortFriends = sort;
+      this.sendToHelper("SET_SORT", { sort });
+    }
+    if (notification === "STEAM_FRIENDS_SET_FILTER") {
+      this.sendToHelper("SET_FILTER", { filter: payload || { reset: true } });
+    }
+    if (notification === "STEAM_FRIENDS_FOCUS") {
+      const query = payload && typeof payload === "object" ? payload.friend : payload;
+      const duration = payload && typeof payload === "object" && payload.duration
+        ? payload.duration
+        : this.config.focusDuration;
+      this.focusFriend(query, duration);
+    }
+  },
+
+  // Highlight a friend by SteamID64 or name for a while. An empty query clears the highlight.
+  focusFriend(query, duration) {
+    clearTimeout(this.focusTimer);
+    this.focusTimer = null;
+    this.focusedFriendId = null;
+
+    if (query) {
+      const needle = String(query).toLowerCase();
+      const friend = this.friends.find(f => f.id === String(query)) ||
+        this.friends.find(f => f.name.toLowerCase() === needle);
+      if (friend) {
+        this.focusedFriendId = friend.id;
+        if (duration > 0) {
+          this.focusTimer = setTimeout(() => this.focusFriend(null), duration);
+        }
+      } else {
+        console.warn(`[MMM-SteamFriends] Cannot focus "${query}": not in the friends list`);
+      }
+    }
+
+    this.applyFocus();
+  },
+
+  isFocused(item) {
+    if (!this.focusedFriendId) return false;
+    return item.party
+      ? item.friends.some(f => f.id === this.focusedFriendId)
+      : item.id === this.focusedFriendId;
+  },
+
+  applyFocus() {
+    this.queryRootAll("tr.row, .grid-tile, .marquee-item").forEach(row => {
+      const focused = row.classList.contains("party-row")
+        ? !!row.querySelector(`.party-avatar[data-friend-id="${this.focusedFriendId}"]`)
+        : row.dataset.friendId === this.focusedFriendId;
+      row.classList.toggle("focused", !!this.focusedFriendId && focused);
+    });
+  },
+
   suspend() {
-    this.sendSocketNotification("SUSPEND");
+    this.stopTimers();
+    this.sendToHelper("SUSPEND");
   },
 
   resume() {
-    this.sendSocketNotification("RESUME");
+    this.startTimers();
+    this.sendToHelper("RESUME");
   },
 
-  getStatusCounts() {
+  getStatusCounts(friends = this.friends) {
     const counts = {
       ingame: 0,
       online: 0,
       offline: 0
     };
 
-    this.friends.forEach(f => {
+    friends.forEach(f => {
       if (f.inGame) {
         counts.ingame++;
-      } else if (f.status === "Offline") {
+      } else if (f.state === "offline") {
         counts.offline++;
       } else {
         counts.online++;
@@ -101,79 +408,453 @@ Module.register("MMM-SteamFriends", {
     return counts;
   },
 
+  // Configured layout, or the table for unknown values
+  getLayout() {
+    return LAYOUTS.includes(this.config.layout) ? this.config.layout : "table";
+  },
+
+  // Split friends into rendered sections: one per configured group, or a single flat list
+  getSections() {
+    const groups = this.config.groups || [];
+    if (groups.length === 0 || this.getLayout() === "marquee") {
+      return [{ key: "all", title: null, friends: this.friends, limit: this.config.maxFriends }];
+    }
+
+    const grouped = new Set();
+    const sections = groups.map((group, index) => {
+      const memberIds = this.groupMembers[index] || [];
+      const members = new Set(memberIds);
+      let friends = this.friends.filter(f => members.has(f.id));
+
+      if (group.order === "members") {
+        friends = [...friends].sort((a, b) => memberIds.indexOf(a.id) - memberIds.indexOf(b.id));
+      }
+
+      friends.forEach(f => grouped.add(f.id));
+      return {
+        key: `group-${index}`,
+        title: group.name || "",
+        friends,
+        limit: group.maxFriends || this.config.maxFriends
+      };
+    });
+
+    if (this.config.showUngrouped) {
+      sections.push({
+        key: "ungrouped",
+        title: this.translate("OTHER_FRIENDS"),
+        friends: this.friends.filter(f => !grouped.has(f.id)),
+        limit: this.config.maxFriends
+      });
+    }
+
+    return sections;
+  },
+
+  isPaging(mode) {
+    const paging = this.config.paging;
+    return !!(paging && paging.enabled && paging.mode === mode);
+  },
+
+  getPageCount(section) {
+    const itemCount = this.getDisplayItems(section.friends).length;
+    return Math.max(1, Math.ceil(itemCount / section.limit));
+  },
+
+  // Rows shown for a section: one page in "pages" mode, all rows for the scroll ticker,
+  // otherwise the first section.limit rows
+  getVisibleItems(section) {
+    const items = this.getDisplayItems(section.friends);
+    if (this.isPaging("scroll")) {
+      return items;
+    }
+    if (this.isPaging("pages")) {
+      const start = (this.pageIndex % this.getPageCount(section)) * section.limit;
+      return items.slice(start, start + section.limit);
+    }
+    return items.slice(0, section.limit);
+  },
+
+  // Sections page in step; each wraps around after its own last page
+  nextPage() {
+    const sections = this.getSections();
+    const pageCount = Math.max(...sections.map(section => this.getPageCount(section)));
+    if (pageCount <= 1 && this.pageIndex === 0) return;
+
+    this.pageIndex = (this.pageIndex + 1) % pageCount;
+    this.updatePageIndicator();
+    if (this.isStatsLayout()) return;
+
+    const previousFriends = new Map(this.friends.map(f => [f.id, f]));
+    sections.forEach(section => {
+      const container = this.queryRoot(this.getSectionSelector(section));
+      if (container) {
+        this.updateSectionRows(container, section, previousFriends, true);
+      }
+    });
+  },
+
+  getPageIndicatorText() {
+    const pageCount = Math.max(...this.getSections().map(section => this.getPageCount(section)));
+    return pageCount > 1 ? `${this.pageIndex % pageCount + 1} / ${pageCount}` : "";
+  },
+
+  updatePageIndicator() {
+    const indicator = this.queryRoot(".steam-page-indicator");
+    if (indicator) {
+      indicator.textContent = this.getPageIndicatorText();
+    }
+  },
+
+  // Scroll the friends table a little each tick, holding the first and last rows for paging.interval.
+  // The position is tracked separately because browsers round scrollTop to whole pixels.
+  scrollTick() {
+    const viewport = this.queryRoot(".steam-scroll");
+    if (!viewport || Date.now() < this.scrollPauseUntil) return;
+
+    if (!this.scrollViewportSized) {
+      this.sizeScrollViewport(viewport);
+      this.scrollViewportSized = true;
+    }
+    const maxScroll = viewport.scrollHeight - viewport.clientHeight;
+    if (maxScroll <= 0) return;
+
+    if (this.scrollPosition >= maxScroll) {
+      this.scrollPosition = 0;
+      this.scrollPauseUntil = Date.now() + this.config.paging.interval;
+    } else {
+      this.scrollPosition = Math.min(maxScroll, this.scrollPosition + this.config.paging.scrollSpeed * SCROLL_TICK_INTERVAL / 1000);
+      if (this.scrollPosition >= maxScroll) {
+        this.scrollPauseUntil = Date.now() + this.config.paging.interval;
+      }
+    }
+    viewport.scrollTop = this.scrollPosition;
+  },
+
+  // Limit the ticker to maxFriends rows or tiles; their positions are only known once rendered,
+  // so renders only mark the viewport and the next tick measures it
+  sizeScrollViewport(viewport) {
+    const items = viewport.querySelectorAll("tr.row, .grid-tile");
+    if (items.length <= this.config.maxFriends) {
+      viewport.style.maxHeight = "";
+      return;
+    }
+
+    let top = 0;
+    for (let element = items[this.config.maxFriends]; element && element !== viewport; element = element.offsetParent) {
+      top += element.offsetTop;
+    }
+    viewport.style.maxHeight = `${top}px`;
+  },
+
+  // Element holding a section's rows, tiles or ticker items
+  getSectionSelector(section) {
+    const layout = this.getLayout();
+    if (layout === "grid") return `.steam-grid[data-section="${section.key}"]`;
+    if (layout === "marquee") return `.marquee-track[data-section="${section.key}"]`;
+    return `.steam-table tbody.steam-rows[data-section="${section.key}"]`;
+  },
+
+  getRowKey(section, friendId) {
+    return `${section.key}:${friendId}`;
+  },
+
+  getColumnCount() {
+    return 5 + (this.config.showPlatform ? 1 : 0) + (this.config.showStatusText ? 1 : 0);
+  },
+
   updateFriendsList(previousFriends) {
-    const tbody = document.querySelector(".steam-table tbody");
-    if (!tbody) {
+    if (this.isStatsLayout()) {
+      this.updateHeader();
+      return;
+    }
+
+    const sections = this.getSections();
+    const tbodies = sections.map(section => this.queryRoot(this.getSectionSelector(section)));
+    if (tbodies.some(tbody => !tbody)) {
       this.updateDom();
       return;
     }
 
-    const header = document.querySelector(".steam-header");
+    const header = this.queryRoot(".steam-header");
     if (header) {
       this.updateHeader();
     }
 
-    const currentIds = new Set(this.friends.slice(0, this.config.maxFriends).map(f => f.id));
-    const previousIds = new Set(previousFriends.keys());
-
-    previousIds.forEach(id => {
-      if (!currentIds.has(id)) {
-        const row = this.friendsMap.get(id);
-        if (row) {
-          const prevFriend = previousFriends.get(id);
-          const wasOnline = prevFriend && (prevFriend.status === "Online" || prevFriend.inGame);
-
-          if (this.config.animations.enabled && this.config.animations.slideOutOffline && wasOnline) {
-            row.classList.add('slide-out');
-            setTimeout(() => {
-              if (row.parentNode) {
-                row.remove();
-              }
-            }, ANIMATION_DURATIONS.SLIDE_OUT);
-          } else {
-            row.classList.add('fade-out');
-            setTimeout(() => {
-              if (row.parentNode) {
-                row.remove();
-              }
-            }, ANIMATION_DURATIONS.FADE_OUT);
+    sections.forEach((section, index) => {
+      this.updateSectionRows(tbodies[index], section, previousFriends);
+    });
+
+    if (this.focusedFriendId) {
+      this.applyFocus();
+    }
+  },
+
+  // Forward the helper's transitions, detected on all friends rather than the filtered list
+  broadcastTransitions(transitions) {
+    if (!this.config.broadcastNotifications) return;
+
+    transitions.forEach(({ event, friend, previous }) => {
+      const notification = TRANSITION_NOTIFICATIONS[event];
+      if (notification) {
+        this.sendNotification(notification, { friend, previous });
+      }
+    });
+  },
+
+  // pageTurn animates every row change as a slide, for rows moving between pages
+  updateSectionRows(tbody, section, previousFriends, pageTurn = false) {
+    this.scrollViewportSized = false;
+    const items = this.getVisibleItems(section);
+    const currentKeys = new Set(items.map(item => this.getRowKey(section, item.key)));
+    const sectionPrefix = `${section.key}:`;
+
+    Array.from(this.friendsMap.keys()).forEach(rowKey => {
+      if (!rowKey.startsWith(sectionPrefix) || currentKeys.has(rowKey)) return;
+
+      const row = this.friendsMap.get(rowKey);
+      const id = row.dataset.friendId;
+      const prevFriend = id ? previousFriends.get(id) : null;
+      const wasOnline = !id || (prevFriend && (prevFriend.state === "online" || prevFriend.inGame));
+
+      if (this.config.animations.enabled && (pageTurn || (this.config.animations.slideOutOffline && wasOnline))) {
+        row.classList.add('slide-out');
+        setTimeout(() => {
+          if (row.parentNode) {
+            row.remove();
           }
-          this.friendsMap.delete(id);
-          this.previousStates.delete(id);
-        }
+        }, ANIMATION_DURATIONS.SLIDE_OUT);
+      } else {
+        row.classList.add('fade-out');
+        setTimeout(() => {
+          if (row.parentNode) {
+            row.remove();
+          }
+        }, ANIMATION_DURATIONS.FADE_OUT);
       }
+      this.friendsMap.delete(rowKey);
+      if (id) this.previousStates.delete(id);
     });
 
-    const friendsToShow = this.friends.slice(0, this.config.maxFriends);
-    friendsToShow.forEach((friend, index) => {
-      const existingRow = this.friendsMap.get(friend.id);
-      const previousFriend = previousFriends.get(friend.id);
+    items.forEach((item, index) => {
+      const rowKey = this.getRowKey(section, item.key);
+      const existingRow = this.friendsMap.get(rowKey);
 
       if (existingRow) {
-        this.updateFriendRow(existingRow, friend, previousFriend);
+        this.updateItemElement(existingRow, item, previousFriends);
 
         const currentIndex = Array.from(tbody.children).indexOf(existingRow);
         if (currentIndex !== index) {
           tbody.insertBefore(existingRow, tbody.children[index] || null);
         }
       } else {
-        const newRow = this.createFriendRow(friend);
-        const isNewlyOnline = !previousFriend && (friend.status === "Online" || friend.inGame);
+        const newRow = this.createItemElement(item);
+        const friend = item.friend;
+        const isNewlyOnline = friend && !previousFriends.get(friend.id) && (friend.state === "online" || friend.inGame);
 
-        if (this.config.animations.enabled && this.config.animations.slideInOnline && isNewlyOnline) {
+        if (this.config.animations.enabled && (pageTurn || (this.config.animations.slideInOnline && isNewlyOnline))) {
           newRow.classList.add('slide-in');
         } else {
           newRow.classList.add('fade-in');
         }
 
         tbody.insertBefore(newRow, tbody.children[index] || null);
-        this.friendsMap.set(friend.id, newRow);
-        this.previousStates.set(friend.id, {
-          status: friend.status,
-          inGame: friend.inGame
-        });
+        this.friendsMap.set(rowKey, newRow);
+        if (friend) {
+          this.previousStates.set(friend.id, {
+            state: friend.state,
+            inGame: friend.inGame
+          });
+        }
+      }
+    });
+
+    if (this.getLayout() === "marquee") {
+      this.setMarqueeDuration(tbody, items.length);
+    }
+  },
+
+  createItemElement(item) {
+    const layout = this.getLayout();
+    if (layout === "grid") return this.createGridTile(item.friend);
+    if (layout === "marquee") return this.createMarqueeItem(item.friend);
+    return item.party ? this.createPartyRow(item) : this.createFriendRow(item.friend);
+  },
+
+  updateItemElement(element, item, previousFriends) {
+    const layout = this.getLayout();
+    if (item.party) {
+      this.updatePartyRow(element, item);
+    } else if (layout === "grid") {
+      this.updateGridTile(element, item.friend);
+    } else if (layout === "marquee") {
+      this.updateMarqueeItem(element, item.friend);
+    } else {
+      this.updateFriendRow(element, item.friend, previousFriends.get(item.friend.id));
+    }
+  },
+
+  getPartyKey(friend) {
+    if (!friend.inGame || !friend.gameId) return null;
+
+    if (this.config.playingTogether.matchBy === "session") {
+      if (friend.lobbyId) return `lobby-${friend.lobbyId}`;
+      if (friend.gameServer) return `server-${friend.gameServer}`;
+      return null;
+    }
+    return `game-${friend.gameId}`;
+  },
+
+  // Turn a section's friends into rows, collapsing friends playing together into one party row
+  getDisplayItems(friends) {
+    const playingTogether = this.config.playingTogether;
+    if (!playingTogether || !playingTogether.enabled || this.getLayout() !== "table") {
+      return friends.map(friend => ({ key: friend.id, friend }));
+    }
+
+    const parties = new Map();
+    friends.forEach(friend => {
+      const partyKey = this.getPartyKey(friend);
+      if (!partyKey) return;
+      if (!parties.has(partyKey)) {
+        parties.set(partyKey, []);
+      }
+      parties.get(partyKey).push(friend);
+    });
+
+    const minFriends = playingTogether.minFriends || 2;
+    const items = [];
+    const added = new Set();
+
+    friends.forEach(friend => {
+      const partyKey = this.getPartyKey(friend);
+      const members = partyKey ? parties.get(partyKey) : null;
+
+      if (!members || members.length < minFriends) {
+        items.push({ key: friend.id, friend });
+        return;
+      }
+
+      // Party takes the position of its first (highest sorted) member
+      if (added.has(partyKey)) return;
+      added.add(partyKey);
+      items.push({
+        key: `party-${partyKey}`,
+        party: true,
+        friends: members,
+        game: members[0].game,
+        gameId: members[0].gameId,
+        gameScore: members[0].gameScore
+      });
+    });
+
+    return items;
+  },
+
+  createPartyAvatar(friend) {
+    const img = document.createElement("img");
+    img.className = "party-avatar";
+    img.src = this.sanitizeAvatarUrl(friend.avatar);
+    img.alt = friend.name;
+    img.title = friend.name;
+    img.loading = "lazy";
+    img.dataset.friendId = friend.id;
+    return img;
+  },
+
+  createPartyRow(party) {
+    const tr = document.createElement("tr");
+    tr.className = "row ingame party-row";
+    if (this.config.animations.enabled && this.config.animations.gamingPulse) {
+      tr.classList.add('gaming-pulse');
+    }
+    tr.dataset.gameSignature = this.getGameSignature(party);
+    if (this.isFocused(party)) {
+      tr.classList.add("focused");
+    }
+
+    const statusTd = document.createElement("td");
+    statusTd.className = "status-cell";
+    const statusDot = document.createElement("span");
+    statusDot.className = "status-indicator ingame";
+    statusTd.appendChild(statusDot);
+
+    const avatarTd = document.createElement("td");
+    avatarTd.className = "avatar party-avatars";
+    const stack = document.createElement("div");
+    stack.className = "avatar-stack";
+    party.friends.forEach(friend => stack.appendChild(this.createPartyAvatar(friend)));
+    avatarTd.appendChild(stack);
+
+    const countTd = document.createElement("td");
+    countTd.className = "country party-count";
+    countTd.textContent = `×${party.friends.length}`;
+
+    const nameTd = document.createElement("td");
+    nameTd.className = "name party-names";
+    nameTd.textContent = party.friends.map(f => f.name).join(", ");
+
+    const gameTd = document.createElement("td");
+    gameTd.className = "game";
+    this.renderGameCell(gameTd, party);
+
+    tr.appendChild(statusTd);
+    tr.appendChild(avatarTd);
+    tr.appendChild(countTd);
+    tr.appendChild(nameTd);
+    if (this.config.showStatusText) {
+      const statusTextTd = document.createElement("td");
+      statusTextTd.className = "status-text";
+      tr.appendChild(statusTextTd);
+    }
+    if (this.config.showPlatform) {
+      const platformTd = document.createElement("td");
+      platformTd.className = "platform";
+      tr.appendChild(platformTd);
+    }
+    tr.appendChild(gameTd);
+
+    return tr;
+  },
+
+  updatePartyRow(row, party) {
+    const stack = row.querySelector('.avatar-stack');
+    const currentIds = new Set(party.friends.map(f => f.id));
+
+    Array.from(stack.children).forEach(img => {
+      if (!currentIds.has(img.dataset.friendId)) {
+        img.remove();
+      }
+    });
+
+    let joined = false;
+    party.friends.forEach((friend, index) => {
+      let img = stack.querySelector(`[data-friend-id="${friend.id}"]`);
+      if (!img) {
+        img = this.createPartyAvatar(friend);
+        if (this.config.animations.enabled) {
+          img.classList.add('party-join');
+        }
+        joined = true;
+      }
+      if (stack.children[index] !== img) {
+        stack.insertBefore(img, stack.children[index] || null);
       }
     });
+
+    if (joined && this.config.animations.enabled) {
+      row.classList.add('status-change');
+      setTimeout(() => row.classList.remove('status-change'), 500);
+    }
+
+    row.querySelector('.party-count').textContent = `×${party.friends.length}`;
+    row.querySelector('.party-names').textContent = party.friends.map(f => f.name).join(", ");
+
+    const gameSignature = this.getGameSignature(party);
+    if (row.dataset.gameSignature !== gameSignature) {
+      row.dataset.gameSignature = gameSignature;
+      this.renderGameCell(row.querySelector('.game'), party);
+    }
   },
 
   updateFriendRow(row, newFriend, oldFriend) {
@@ -181,9 +862,8 @@ Module.register("MMM-SteamFriends", {
 
     const prevState = this.previousStates.get(newFriend.id) || {};
 
-    if (newFriend.name !== oldFriend.name) {
-      const nameCell = row.querySelector('.name');
-      nameCell.textContent = newFriend.name;
+    if (newFriend.name !== oldFriend.name || String(newFriend.owners) !== String(oldFriend.owners)) {
+      this.renderNameCell(row.querySelector('.name'), newFriend);
     }
 
     if (newFriend.country !== oldFriend.country) {
@@ -194,7 +874,7 @@ Module.register("MMM-SteamFriends", {
       }
     }
 
-    if (newFriend.status !== oldFriend.status) {
+    if (newFriend.state !== oldFriend.state) {
       const statusDot = row.querySelector('.status-indicator');
       if (statusDot) {
         statusDot.className = `status-indicator ${this.getStatusClass(newFriend)}`;
@@ -206,62 +886,27 @@ Module.register("MMM-SteamFriends", {
       }
     }
 
-    const gameChanged = newFriend.game !== oldFriend.game || newFriend.gameId !== oldFriend.gameId;
-    const scoreChanged = newFriend.gameScore !== oldFriend.gameScore;
-
-    if (gameChanged || scoreChanged) {
-      const gameCell = row.querySelector('.game');
-      gameCell.innerHTML = "";
-      gameCell.classList.remove("game-capsule-cell");
-
-      // Create wrapper for game content and score badge positioning
-      const gameWrapper = document.createElement("div");
-      gameWrapper.className = "game-wrapper";
-
-      if (this.config.showGameCapsule && newFriend.gameId) {
-        const capsuleUrl = this.getGameCapsuleUrl(newFriend.gameId);
-        if (capsuleUrl) {
-          const img = document.createElement("img");
-          img.src = capsuleUrl;
-          img.alt = newFriend.game || "In Game";
-          img.title = newFriend.game || "In Game";
-          img.className = "game-capsule";
-          if (this.config.gameCapsuleSize === "large") {
-            img.classList.add("game-capsule-large");
-          }
-          img.loading = "lazy";
-          img.onerror = () => {
-            img.remove();
-            const textSpan = document.createElement("span");
-            textSpan.className = "game-text";
-            textSpan.textContent = newFriend.game || "";
-            gameWrapper.insertBefore(textSpan, gameWrapper.firstChild);
-            gameCell.classList.remove("game-capsule-cell");
-          };
-          gameWrapper.appendChild(img);
-          gameCell.classList.add("game-capsule-cell");
-        } else {
-          const textSpan = document.createElement("span");
-          textSpan.className = "game-text";
-          textSpan.textContent = newFriend.game || "";
-          gameWrapper.appendChild(textSpan);
-        }
-      } else {
-        const textSpan = document.createElement("span");
-        textSpan.className = "game-text";
-        textSpan.textContent = newFriend.game || "";
-        gameWrapper.appendChild(textSpan);
+    if (this.config.showStatusText && this.getStatusTextSignature(newFriend) !== this.getStatusTextSignature(oldFriend)) {
+      const statusTextCell = row.querySelector('.status-text');
+      if (statusTextCell) {
+        this.renderStatusText(statusTextCell, newFriend);
       }
+    }
 
-      // Add score badge if enabled and score exists
-      if (this.config.gameScore.enabled && newFriend.gameScore !== undefined) {
-        const scoreBadge = this.createScoreBadge(newFriend.gameScore);
-        gameWrapper.appendChild(scoreBadge);
+    if (this.config.showPlatform && newFriend.platform !== oldFriend.platform) {
+      const platformCell = row.querySelector('.platform');
+      if (platformCell) {
+        this.renderPlatformBadge(platformCell, newFriend.platform);
       }
+    }
 
-      gameCell.appendChild(gameWrapper);
+    const gameChanged = newFriend.game !== oldFriend.game || newFriend.gameId !== oldFriend.gameId;
 
-      if (newFriend.game && this.config.animations.enabled) {
+    if (this.getGameSignature(newFriend) !== this.getGameSignature(oldFriend)) {
+      const gameCell = row.querySelector('.game');
+      this.renderGameCell(gameCell, newFriend);
+
+      if (gameChanged && newFriend.game && this.config.animations.enabled) {
         gameCell.classList.add('game-change');
         setTimeout(() => gameCell.classList.remove('game-change'), 500);
       }
@@ -279,18 +924,16 @@ Module.register("MMM-SteamFriends", {
     }
 
     this.previousStates.set(newFriend.id, {
-      status: newFriend.status,
+      state: newFriend.state,
       inGame: newFriend.inGame
     });
   },
 
+  // Looking to trade or play shows as online; the status text tells them apart
   getStatusClass(friend) {
     if (friend.inGame) return 'ingame';
-    if (friend.status === 'Online') return 'online';
-    if (friend.status === 'Away') return 'away';
-    if (friend.status === 'Busy') return 'busy';
-    if (friend.status === 'Snooze') return 'snooze';
-    return 'offline';
+    if (["busy", "away", "snooze", "offline"].includes(friend.state)) return friend.state;
+    return friend.state ? 'online' : 'offline';
   },
 
   createFriendRow(friend) {
@@ -300,6 +943,9 @@ Module.register("MMM-SteamFriends", {
       tr.classList.add('gaming-pulse');
     }
     tr.dataset.friendId = friend.id;
+    if (this.isFocused(friend)) {
+      tr.classList.add("focused");
+    }
 
     const statusTd = document.createElement("td");
     statusTd.className = "status-cell";
@@ -327,43 +973,107 @@ Module.register("MMM-SteamFriends", {
 
     const nameTd = document.createElement("td");
     nameTd.className = "name";
-    nameTd.textContent = friend.name;
+    this.renderNameCell(nameTd, friend);
+
+    let statusTextTd = null;
+    if (this.config.showStatusText) {
+      statusTextTd = document.createElement("td");
+      this.renderStatusText(statusTextTd, friend);
+    }
+
+    let platformTd = null;
+    if (this.config.showPlatform) {
+      platformTd = document.createElement("td");
+      platformTd.className = "platform";
+      this.renderPlatformBadge(platformTd, friend.platform);
+    }
 
     const gameTd = document.createElement("td");
     gameTd.className = "game";
+    this.renderGameCell(gameTd, friend);
+
+    tr.appendChild(statusTd);
+    tr.appendChild(avatarTd);
+    tr.appendChild(flagTd);
+    tr.appendChild(nameTd);
+    if (statusTextTd) tr.appendChild(statusTextTd);
+    if (platformTd) tr.appendChild(platformTd);
+    tr.appendChild(gameTd);
+
+    return tr;
+  },
+
+  // Spelled-out status for rows without a game: "Away · 12m" or "Last online 3 days ago".
+  // The times are relative-time spans, so they advance between polls.
+  renderStatusText(cell, friend) {
+    cell.textContent = "";
+    cell.className = `status-text ${this.getStatusClass(friend)}`;
+    if (friend.inGame) return;
+
+    if (friend.state === "offline" && friend.lastLogOff) {
+      this.appendTranslated(cell, "LAST_ONLINE", {
+        time: this.createRelativeTime(friend.lastLogOff * 1000, "ago")
+      });
+    } else if (friend.state !== "offline" && friend.stateSince) {
+      this.appendTranslated(cell, "STATUS_SINCE", {
+        status: this.getStatusText(friend),
+        duration: this.createRelativeTime(friend.stateSince, "duration")
+      });
+    } else {
+      cell.textContent = this.getStatusText(friend);
+    }
+  },
+
+  getStatusTextSignature(friend) {
+    return [friend.inGame, friend.state, friend.stateSince, friend.lastLogOff].join("|");
+  },
+
+  // Friend name plus, with several owner accounts, whose friend they are
+  renderNameCell(nameCell, friend) {
+    nameCell.textContent = friend.name;
+    if (!this.config.showOwners || !friend.owners) return;
+
+    friend.owners.forEach(owner => {
+      const tag = document.createElement("span");
+      tag.className = "owner-tag";
+      tag.textContent = owner;
+      nameCell.appendChild(tag);
+    });
+  },
+
+  // Fill a game cell with capsule or text plus optional score badge
+  renderGameCell(gameCell, friend) {
+    gameCell.innerHTML = "";
+    gameCell.classList.remove("game-capsule-cell");
 
     // Create wrapper for game content and score badge positioning
     const gameWrapper = document.createElement("div");
     gameWrapper.className = "game-wrapper";
 
-    if (this.config.showGameCapsule && friend.gameId) {
-      const capsuleUrl = this.getGameCapsuleUrl(friend.gameId);
-      if (capsuleUrl) {
-        const img = document.createElement("img");
-        img.src = capsuleUrl;
-        img.alt = friend.game || "In Game";
-        img.title = friend.game || "In Game";
-        img.className = "game-capsule";
-        if (this.config.gameCapsuleSize === "large") {
-          img.classList.add("game-capsule-large");
-        }
-        img.loading = "lazy";
-        img.onerror = () => {
-          img.remove();
-          const textSpan = document.createElement("span");
-          textSpan.className = "game-text";
-          textSpan.textContent = friend.game || "";
-          gameWrapper.insertBefore(textSpan, gameWrapper.firstChild);
-          gameTd.classList.remove("game-capsule-cell");
-        };
-        gameWrapper.appendChild(img);
-        gameTd.classList.add("game-capsule-cell");
-      } else {
+    const capsuleUrl = this.config.showGameCapsule && friend.gameId
+      ? this.getGameCapsuleUrl(friend.gameId)
+      : null;
+
+    if (capsuleUrl) {
+      const img = document.createElement("img");
+      img.src = capsuleUrl;
+      img.alt = friend.game || this.translate("IN_GAME");
+      img.title = img.alt;
+      img.className = "game-capsule";
+      if (this.config.gameCapsuleSize === "large") {
+        img.classList.add("game-capsule-large");
+      }
+      img.loading = "lazy";
+      img.onerror = () => {
+        img.remove();
         const textSpan = document.createElement("span");
         textSpan.className = "game-text";
         textSpan.textContent = friend.game || "";
-        gameWrapper.appendChild(textSpan);
-      }
+        gameWrapper.insertBefore(textSpan, gameWrapper.firstChild);
+        gameCell.classList.remove("game-capsule-cell");
+      };
+      gameWrapper.appendChild(img);
+      gameCell.classList.add("game-capsule-cell");
     } else {
       const textSpan = document.createElement("span");
       textSpan.className = "game-text";
@@ -377,15 +1087,141 @@ Module.register("MMM-SteamFriends", {
       gameWrapper.appendChild(scoreBadge);
     }
 
-    gameTd.appendChild(gameWrapper);
+    gameCell.appendChild(gameWrapper);
 
-    tr.appendChild(statusTd);
-    tr.appendChild(avatarTd);
-    tr.appendChild(flagTd);
-    tr.appendChild(nameTd);
-    tr.appendChild(gameTd);
+    if (!friend.inGame && this.config.recentGames.enabled && friend.recentGames && friend.recentGames.length > 0) {
+      gameCell.appendChild(this.createRecentGames(friend.recentGames));
+    }
 
-    return tr;
+    const history = this.config.history;
+    if (!history.enabled) return;
+
+    if (friend.inGame && friend.gameSince && history.showPlayingFor) {
+      const duration = document.createElement("span");
+      duration.className = "game-duration";
+      this.appendTranslated(duration, "PLAYING_FOR", {
+        duration: this.createRelativeTime(friend.gameSince, "duration")
+      });
+      gameCell.appendChild(duration);
+    } else if (!friend.inGame && friend.lastPlayed && history.showLastPlayed) {
+      const lastPlayed = document.createElement("span");
+      lastPlayed.className = "last-played";
+      this.appendTranslated(lastPlayed, "LAST_PLAYED", {
+        game: friend.lastPlayed.game,
+        time: this.createRelativeTime(friend.lastPlayed.at, "ago")
+      });
+      gameCell.appendChild(lastPlayed);
+    }
+  },
+
+  // Append a translation whose {placeholders} may be elements, like live relative times,
+  // so word order can differ between languages
+  appendTranslated(parent, key, values) {
+    this.translate(key).split(/(\{\w+\})/).forEach(part => {
+      const match = /^\{(\w+)\}$/.exec(part);
+      const value = match ? values[match[1]] : part;
+      if (value === undefined || value === "") return;
+      parent.appendChild(typeof value === "object" ? value : document.createTextNode(String(value)));
+    });
+  },
+
+  // Small capsules of the games an offline friend played most in the last two weeks
+  createRecentGames(games) {
+    const strip = document.createElement("div");
+    strip.className = "recent-games";
+
+    games.forEach(game => {
+      const label = this.translate("RECENT_GAME", { game: game.name, hours: (game.minutesTwoWeeks / 60).toFixed(1) });
+      const img = document.createElement("img");
+      img.className = "recent-game";
+      img.src = this.getGameCapsuleUrl(game.gameId, "capsule_sm_120.jpg");
+      img.alt = label;
+      img.title = label;
+      img.loading = "lazy";
+      img.onerror = () => img.remove();
+      strip.appendChild(img);
+    });
+
+    return strip;
+  },
+
+  // Everything that affects the game cell; a change triggers a re-render
+  getGameSignature(friend) {
+    const lastPlayedAt = friend.lastPlayed ? friend.lastPlayed.at : "";
+    const recentGames = (friend.recentGames || []).map(game => game.gameId).join(",");
+    return [friend.game, friend.gameId, friend.gameScore, friend.gameSince, lastPlayedAt, recentGames].join("|");
+  },
+
+  createRelativeTime(timestamp, format) {
+    const span = document.createElement("span");
+    span.className = "relative-time";
+    span.dataset.timestamp = timestamp;
+    span.dataset.format = format;
+    span.textContent = this.formatRelativeTime(timestamp, format);
+    return span;
+  },
+
+  formatRelativeTime(timestamp, format, now = Date.now()) {
+    const elapsed = Math.max(0, now - timestamp);
+    return format === "duration"
+      ? this.formatDuration(elapsed)
+      : this.formatTimeAgo(elapsed);
+  },
+
+  formatDuration(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return this.translate("DURATION_UNDER_MINUTE");
+    if (minutes < 60) return this.translate("DURATION_MINUTES", { minutes });
+
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) {
+      return minutes % 60
+        ? this.translate("DURATION_HOURS_MINUTES", { hours, minutes: minutes % 60 })
+        : this.translate("DURATION_HOURS", { hours });
+    }
+
+    const days = Math.floor(hours / 24);
+    return hours % 24
+      ? this.translate("DURATION_DAYS_HOURS", { days, hours: hours % 24 })
+      : this.translate("DURATION_DAYS", { days });
+  },
+
+  formatTimeAgo(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return this.translate("JUST_NOW");
+    if (minutes < 60) return this.translate("MINUTES_AGO", { minutes });
+
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return this.translate("HOURS_AGO", { hours });
+
+    const days = Math.floor(hours / 24);
+    return days === 1 ? this.translate("DAY_AGO") : this.translate("DAYS_AGO", { days });
+  },
+
+  // Update relative times in place so they stay current between polls
+  // Playing-for and last-played times come with history, state durations with the status text
+  showsRelativeTimes() {
+    const history = this.config.history || {};
+    return !!((history.enabled && (history.showPlayingFor || history.showLastPlayed)) || this.config.showStatusText);
+  },
+
+  refreshRelativeTimes() {
+    this.queryRootAll(".relative-time").forEach(span => {
+      span.textContent = this.formatRelativeTime(Number(span.dataset.timestamp), span.dataset.format);
+    });
+  },
+
+  renderPlatformBadge(cell, platform) {
+    cell.innerHTML = "";
+    const platformInfo = PLATFORM_ICONS[platform];
+    if (!platformInfo) return;
+
+    const img = document.createElement("img");
+    img.className = `platform-icon platform-${platform}`;
+    img.src = this.file(platformInfo.icon);
+    img.alt = this.translate(platformInfo.label);
+    img.title = img.alt;
+    cell.appendChild(img);
   },
 
   sanitizeAvatarUrl(url) {
@@ -418,14 +1254,14 @@ Module.register("MMM-SteamFriends", {
     return iso;
   },
 
-  getGameCapsuleUrl(gameId) {
+  getGameCapsuleUrl(gameId, filename = null) {
     if (!gameId || !/^\d+$/.test(String(gameId))) {
       return null;
     }
 
-    const filename = this.config.gameCapsuleSize === "large"
+    filename = filename || (this.config.gameCapsuleSize === "large"
       ? "header.jpg"
-      : "capsule_231x87.jpg";
+      : "capsule_231x87.jpg");
 
     return `https://cdn.akamai.steamstatic.com/steam/apps/${gameId}/${filename}`;
   },
@@ -446,15 +1282,19 @@ Module.register("MMM-SteamFriends", {
       : `${score}`;
     badge.textContent = text;
 
-    // Apply custom colors if configured
-    const colors = this.config.gameScore.colors;
+    // Custom colors override the theme's --steam-score-* colors
+    const colors = this.config.gameScore.colors || {};
     const thresholds = this.config.gameScore.thresholds;
+    let color;
     if (score >= thresholds.high) {
-      badge.style.color = colors.high;
+      color = colors.high;
     } else if (score >= thresholds.mid) {
-      badge.style.color = colors.mid;
+      color = colors.mid;
     } else {
-      badge.style.color = colors.low;
+      color = colors.low;
+    }
+    if (color) {
+      badge.style.color = color;
     }
 
     return badge;
@@ -462,80 +1302,563 @@ Module.register("MMM-SteamFriends", {
 
   updateHeader() {
     const counts = this.getStatusCounts();
-    const ingameCount = document.querySelector('.ingame-count');
-    const onlineCount = document.querySelector('.online-count');
-    const offlineCount = document.querySelector('.offline-count');
+    const ingameCount = this.queryRoot('.ingame-count');
+    const onlineCount = this.queryRoot('.online-count');
+    const offlineCount = this.queryRoot('.offline-count');
 
     if (ingameCount) ingameCount.textContent = counts.ingame;
     if (onlineCount) onlineCount.textContent = counts.online;
     if (offlineCount) offlineCount.textContent = counts.offline;
+    this.updatePageIndicator();
+
+    this.getSections().forEach(section => {
+      const groupHeader = this.queryRoot(`.steam-group-header[data-section="${section.key}"]`);
+      if (!groupHeader) return;
+
+      const groupCounts = this.getStatusCounts(section.friends);
+      groupHeader.querySelector('.group-ingame-count').textContent = groupCounts.ingame;
+      groupHeader.querySelector('.group-online-count').textContent = groupCounts.online;
+      groupHeader.querySelector('.group-offline-count').textContent = groupCounts.offline;
+    });
+  },
+
+  // Grid tile: avatar with a status ring, name below and the game as an overlay
+  createGridTile(friend) {
+    const tile = document.createElement("div");
+    tile.className = "grid-tile";
+    tile.dataset.friendId = friend.id;
+    if (this.isFocused(friend)) {
+      tile.classList.add("focused");
+    }
+
+    const avatar = document.createElement("div");
+    avatar.className = "grid-avatar";
+    const img = document.createElement("img");
+    img.src = this.sanitizeAvatarUrl(friend.avatar);
+    img.alt = friend.name;
+    img.loading = "lazy";
+    avatar.appendChild(img);
+
+    const name = document.createElement("div");
+    name.className = "grid-name";
+
+    tile.appendChild(avatar);
+    tile.appendChild(name);
+    this.renderGridTile(tile, friend);
+    return tile;
+  },
+
+  renderGridTile(tile, friend) {
+    tile.classList.toggle("ingame", !!friend.inGame);
+    tile.querySelector(".grid-avatar").className = `grid-avatar status-ring ${this.getStatusClass(friend)}`;
+    tile.querySelector(".grid-name").textContent = friend.name;
+    tile.dataset.state = this.getItemSignature(friend);
+
+    const oldGame = tile.querySelector(".grid-game");
+    if (oldGame) oldGame.remove();
+    if (!friend.inGame) return;
+
+    const game = document.createElement("div");
+    game.className = "grid-game";
+
+    // Capsule fades in over the avatar on hover, or in turns when capsuleRotation is on
+    const capsuleUrl = this.getGameCapsuleUrl(friend.gameId, "capsule_sm_120.jpg");
+    if (capsuleUrl) {
+      const capsule = document.createElement("img");
+      capsule.className = "grid-capsule";
+      if (this.config.grid.capsuleRotation) {
+        capsule.classList.add("rotating");
+      }
+      capsule.src = capsuleUrl;
+      capsule.alt = friend.game;
+      capsule.onerror = () => capsule.remove();
+      game.appendChild(capsule);
+    }
+
+    const gameName = document.createElement("span");
+    gameName.className = "grid-game-name";
+    gameName.textContent = friend.game;
+    game.appendChild(gameName);
+
+    tile.querySelector(".grid-avatar").appendChild(game);
+  },
+
+  updateGridTile(tile, friend) {
+    if (tile.dataset.state !== this.getItemSignature(friend)) {
+      this.renderGridTile(tile, friend);
+    }
+  },
+
+  // Ticker entry: status dot, name and current game on one line
+  createMarqueeItem(friend) {
+    const item = document.createElement("span");
+    item.className = "marquee-item";
+    item.dataset.friendId = friend.id;
+    if (this.isFocused(friend)) {
+      item.classList.add("focused");
+    }
+    this.renderMarqueeItem(item, friend);
+    return item;
+  },
+
+  renderMarqueeItem(item, friend) {
+    item.innerHTML = "";
+    item.dataset.state = this.getItemSignature(friend);
+
+    const dot = document.createElement("span");
+    dot.className = `status-indicator ${this.getStatusClass(friend)}`;
+    const name = document.createElement("span");
+    name.className = "marquee-name";
+    name.textContent = friend.name;
+    item.appendChild(dot);
+    item.appendChild(name);
+
+    if (friend.inGame) {
+      const game = document.createElement("span");
+      game.className = "marquee-game";
+      game.textContent = friend.game;
+      item.appendChild(game);
+    }
+  },
+
+  updateMarqueeItem(item, friend) {
+    if (item.dataset.state !== this.getItemSignature(friend)) {
+      this.renderMarqueeItem(item, friend);
+    }
+  },
+
+  // What grid tiles and ticker items show; a change triggers a re-render
+  getItemSignature(friend) {
+    return [friend.name, friend.avatar, friend.state, friend.inGame, friend.game, friend.gameId].join("|");
+  },
+
+  // Keep the ticker speed constant as friends come and go. The new duration waits for the
+  // current pass to end: changing it on a running animation makes the track jump.
+  setMarqueeDuration(track, itemCount) {
+    const seconds = Math.max(1, itemCount) * this.config.marquee.secondsPerFriend;
+    track.dataset.nextDuration = `${seconds}s`;
+  },
+
+  // Restart the animation with the pending duration; at the end of a pass the track is back
+  // at its start, so the restart is invisible
+  applyMarqueeDuration(track) {
+    const duration = track.dataset.nextDuration;
+    if (!duration) return;
+    delete track.dataset.nextDuration;
+    if (track.style.getPropertyValue("--marquee-duration") === duration) return;
+
+    track.style.setProperty("--marquee-duration", duration);
+    track.style.animation = "none";
+    void track.offsetWidth;
+    track.style.animation = "";
+  },
+
+  // Fill a section's container and register its elements for incremental updates
+  appendSectionItems(container, section) {
+    this.getVisibleItems(section).forEach(item => {
+      const element = this.createItemElement(item);
+      this.friendsMap.set(this.getRowKey(section, item.key), element);
+      if (!item.party) {
+        this.previousStates.set(item.friend.id, {
+          state: item.friend.state,
+          inGame: item.friend.inGame
+        });
+      }
+      container.appendChild(element);
+    });
+  },
+
+  createTable() {
+    const table = document.createElement("table");
+    table.className = "steam-table";
+    table.style.borderRadius = this.config.borderRadius;
+
+    if (this.config.magicBorder.enabled) {
+      table.classList.add('magic-border');
+      table.style.setProperty('--magic-duration', `${this.config.magicBorder.duration}s`);
+      table.style.setProperty('--magic-intensity', this.config.magicBorder.intensity);
+      table.style.setProperty('--magic-blur-base', `${this.config.magicBorder.blurBase}px`);
+      table.style.setProperty('--magic-blur-peak', `${this.config.magicBorder.blurPeak}px`);
+      table.style.setProperty('--magic-scale-peak', this.config.magicBorder.scalePeak);
+    }
+
+    this.getSections().forEach(section => {
+      if (section.title !== null) {
+        table.appendChild(this.createGroupHeader(section));
+      }
+
+      const tbody = document.createElement("tbody");
+      tbody.className = "steam-rows";
+      tbody.dataset.section = section.key;
+      this.appendSectionItems(tbody, section);
+      table.appendChild(tbody);
+    });
+
+    return table;
+  },
+
+  createGrid() {
+    const layout = document.createElement("div");
+    layout.className = "steam-grid-layout";
+    layout.style.borderRadius = this.config.borderRadius;
+
+    this.getSections().forEach(section => {
+      if (section.title !== null) {
+        layout.appendChild(this.createGroupHeader(section));
+      }
+
+      const grid = document.createElement("div");
+      grid.className = "steam-grid";
+      grid.dataset.section = section.key;
+      grid.style.gridTemplateColumns = `repeat(${this.config.grid.columns}, 1fr)`;
+      this.appendSectionItems(grid, section);
+      layout.appendChild(grid);
+    });
+
+    return layout;
+  },
+
+  // Single line for bar positions: counts on the left, friends scrolling past on the right
+  createMarquee(stats) {
+    const [section] = this.getSections();
+    const marquee = document.createElement("div");
+    marquee.className = "steam-marquee";
+
+    const viewport = document.createElement("div");
+    viewport.className = "marquee-viewport";
+    const track = document.createElement("div");
+    track.className = "marquee-track";
+    track.dataset.section = section.key;
+    this.appendSectionItems(track, section);
+    this.setMarqueeDuration(track, track.children.length);
+    this.applyMarqueeDuration(track);
+    track.addEventListener("animationiteration", () => this.applyMarqueeDuration(track));
+    viewport.appendChild(track);
+
+    marquee.appendChild(stats);
+    marquee.appendChild(viewport);
+    return marquee;
+  },
+
+  // Table layout puts the group header in a tbody spanning all columns, other layouts in a div
+  createGroupHeader(section) {
+    const isTable = this.getLayout() === "table";
+    const headerBody = document.createElement(isTable ? "tbody" : "div");
+    headerBody.className = "steam-group-header";
+    headerBody.dataset.section = section.key;
+
+    const tr = document.createElement(isTable ? "tr" : "div");
+    const td = document.createElement(isTable ? "td" : "div");
+    if (isTable) {
+      td.colSpan = this.getColumnCount();
+    }
+
+    const title = document.createElement("span");
+    title.className = "group-title";
+    title.textContent = section.title;
+
+    const counts = this.getStatusCounts(section.friends);
+    const stats = document.createElement("span");
+    stats.className = "group-stats";
+
+    [
+      ["ingame", counts.ingame],
+      ["online", counts.online],
+      ["offline", counts.offline]
+    ].forEach(([status, count]) => {
+      const dot = document.createElement("span");
+      dot.className = `stat-dot ${status}`;
+      const value = document.createElement("span");
+      value.className = `group-${status}-count`;
+      value.textContent = count;
+      stats.appendChild(dot);
+      stats.appendChild(value);
+    });
+
+    td.appendChild(title);
+    td.appendChild(stats);
+    tr.appendChild(td);
+    headerBody.appendChild(tr);
+    return headerBody;
+  },
+
+  isStatsLayout() {
+    return this.config.stats.enabled && this.config.stats.mode === "layout" && this.getLayout() !== "marquee";
+  },
+
+  // Alternate between the friends table and the stats panel in "page" mode
+  toggleStatsPage() {
+    const table = this.queryRoot(".steam-table, .steam-grid-layout");
+    const panel = this.queryRoot(".steam-activity");
+    if (!table || !panel) return;
+
+    this.showingStats = !this.showingStats && this.activityStats !== null;
+    const shown = this.showingStats ? panel : table;
+    const hidden = this.showingStats ? table : panel;
+
+    hidden.classList.add("page-hidden");
+    shown.classList.remove("page-hidden");
+    if (this.config.animations.enabled) {
+      shown.classList.remove("page-in");
+      void shown.offsetWidth;
+      shown.classList.add("page-in");
+    }
+  },
+
+  updateStatsPanel() {
+    const panel = this.queryRoot(".steam-activity");
+    if (!panel) return;
+
+    const replacement = this.createStatsPanel();
+    replacement.className = panel.className;
+    panel.replaceWith(replacement);
+  },
+
+  createStatsPanel() {
+    const panel = document.createElement("div");
+    panel.className = "steam-activity";
+    panel.style.borderRadius = this.config.borderRadius;
+
+    const stats = this.activityStats;
+    if (!stats) {
+      const empty = document.createElement("div");
+      empty.className = "steam-empty";
+      empty.textContent = this.translate("STATS_COLLECTING");
+      panel.appendChild(empty);
+      return panel;
+    }
+
+    const title = document.createElement("div");
+    title.className = "group-title activity-title";
+    title.textContent = stats.days === 7
+      ? this.translate("STATS_THIS_WEEK")
+      : this.translate("STATS_LAST_DAYS", { days: stats.days });
+    panel.appendChild(title);
+
+    panel.appendChild(this.createStatsList(
+      this.translate("STATS_TOP_GAMES"),
+      stats.topGames.map(game => [game.game, game.players === 1
+        ? this.translate("STATS_GAME_ONE_FRIEND", { hours: game.hours })
+        : this.translate("STATS_GAME_FRIENDS", { hours: game.hours, players: game.players })])
+    ));
+    panel.appendChild(this.createStatsList(
+      this.translate("STATS_HOURS_PLAYED"),
+      stats.friends.map(friend => [friend.name, this.translate("STATS_HOURS", { hours: friend.hours })])
+    ));
+    panel.appendChild(this.createBusiestHours(stats.busiestHours));
+    panel.appendChild(this.createStatsList(
+      this.translate("STATS_STREAKS"),
+      stats.streaks.map(streak => [streak.name, this.translate("STATS_STREAK_DAYS", { days: streak.days })])
+    ));
+
+    return panel;
+  },
+
+  createStatsList(titleText, entries) {
+    const section = document.createElement("div");
+    section.className = "activity-section";
+
+    const title = document.createElement("div");
+    title.className = "activity-section-title";
+    title.textContent = titleText;
+    section.appendChild(title);
+
+    if (entries.length === 0) {
+      const none = document.createElement("div");
+      none.className = "activity-none";
+      none.textContent = this.translate("STATS_NO_ACTIVITY");
+      section.appendChild(none);
+      return section;
+    }
+
+    entries.forEach(([label, value]) => {
+      const row = document.createElement("div");
+      row.className = "activity-row";
+
+      const labelSpan = document.createElement("span");
+      labelSpan.className = "activity-label";
+      labelSpan.textContent = label;
+
+      const valueSpan = document.createElement("span");
+      valueSpan.className = "activity-value";
+      valueSpan.textContent = value;
+
+      row.appendChild(labelSpan);
+      row.appendChild(valueSpan);
+      section.appendChild(row);
+    });
+
+    return section;
+  },
+
+  // 24 bars, one per hour of the day, scaled to the busiest hour
+  createBusiestHours(hours) {
+    const section = document.createElement("div");
+    section.className = "activity-section";
+
+    const title = document.createElement("div");
+    title.className = "activity-section-title";
+    title.textContent = this.translate("STATS_BUSIEST_HOURS");
+    section.appendChild(title);
+
+    const chart = document.createElement("div");
+    chart.className = "activity-hours";
+    const peak = Math.max(...hours);
+
+    hours.forEach((value, hour) => {
+      const bar = document.createElement("div");
+      bar.className = "activity-hour";
+      bar.style.height = `${peak > 0 ? Math.max(4, Math.round(value / peak * 100)) : 4}%`;
+      bar.title = this.translate("STATS_HOUR_ONLINE", { hour: String(hour).padStart(2, "0"), hours: value });
+      if (peak > 0 && value === peak) {
+        bar.classList.add("peak");
+      }
+      chart.appendChild(bar);
+    });
+    section.appendChild(chart);
+
+    const labels = document.createElement("div");
+    labels.className = "activity-hour-labels";
+    ["00", "06", "12", "18", "24"].forEach(text => {
+      const label = document.createElement("span");
+      label.textContent = text;
+      labels.appendChild(label);
+    });
+    section.appendChild(labels);
+
+    return section;
+  },
+
+  // Replace the owner's card in place, or rebuild once when it is shown for the first time
+  updateProfileCard() {
+    if (this.getLayout() === "marquee") return;
+
+    const card = this.queryRoot(".steam-profile");
+    if (!card) {
+      this.updateDom();
+      return;
+    }
+    card.replaceWith(this.createProfileCard());
+  },
+
+  createProfileCard() {
+    const profile = this.profile;
+    const card = document.createElement("div");
+    card.className = "steam-profile";
+
+    const avatar = document.createElement("img");
+    avatar.className = `profile-avatar ${this.getStatusClass(profile)}`;
+    avatar.src = this.sanitizeAvatarUrl(profile.avatar);
+    avatar.alt = profile.name;
+    card.appendChild(avatar);
+
+    const details = document.createElement("div");
+    details.className = "profile-details";
+
+    const nameLine = document.createElement("div");
+    nameLine.className = "profile-name";
+    nameLine.textContent = profile.name;
+    if (profile.level !== null && profile.level !== undefined) {
+      const level = document.createElement("span");
+      level.className = "profile-level";
+      level.textContent = this.translate("PROFILE_LEVEL", { level: profile.level });
+      nameLine.appendChild(level);
+    }
+    details.appendChild(nameLine);
+
+    const status = document.createElement("div");
+    status.className = "profile-status";
+    const dot = document.createElement("span");
+    dot.className = `status-indicator ${this.getStatusClass(profile)}`;
+    const statusText = document.createElement("span");
+    statusText.textContent = profile.inGame
+      ? this.translate("IN_GAME_PLAYING", { game: profile.game })
+      : this.getStatusText(profile);
+    status.appendChild(dot);
+    status.appendChild(statusText);
+    details.appendChild(status);
+
+    if (profile.recentGames && profile.recentGames.length > 0) {
+      const recent = document.createElement("div");
+      recent.className = "profile-recent";
+      recent.textContent = profile.recentGames
+        .map(game => this.translate("PROFILE_RECENT_GAME", { game: game.name, hours: (game.minutesTwoWeeks / 60).toFixed(1) }))
+        .join(" · ");
+      details.appendChild(recent);
+    }
+
+    card.appendChild(details);
+    return card;
+  },
+
+  // Built-in QR codes carry a translation key; setupQrTargets from config.js keep their label
+  getSetupQrLabel(code) {
+    return code.key ? this.translate(code.key) : code.label;
+  },
+
+  isSetupPending() {
+    const steamIds = [].concat(this.config.steamId).filter(Boolean);
+    return this.config.setup && !this.credentialsConfigured &&
+      (!this.config.steamApiKey || steamIds.length === 0);
   },
 
   getDom() {
+    this.scrollViewportSized = false;
     const root = document.createElement("div");
     root.className = "steam-root";
+    this.applyTheme(root);
     root.style.transform = `scale(${this.config.scale})`;
     root.style.transformOrigin = "top center";
 
-    if (this.config.setup && (!this.config.steamApiKey || !this.config.steamId)) {
+    if (this.isSetupPending()) {
       const setup = document.createElement("div");
       setup.className = "steam-setup";
 
       const title = document.createElement("div");
       title.className = "setup-title";
-      title.textContent = "Steam Friends Setup";
+      title.textContent = this.translate("SETUP_TITLE");
 
       const qrContainer = document.createElement("div");
       qrContainer.className = "setup-qr-container";
 
-      const apiKeySection = document.createElement("div");
-      apiKeySection.className = "setup-qr-section";
-
-      const apiKeyLabel = document.createElement("div");
-      apiKeyLabel.className = "setup-qr-label";
-      apiKeyLabel.textContent = "Steam Web API Key";
-
-      const apiKeyQr = document.createElement("img");
-      apiKeyQr.className = "setup-qr-image";
-      apiKeyQr.src = "https://api.qrserver.com/v1/create-qr-code/?size=200x200&data=" + encodeURIComponent("https://steamcommunity.com/dev/apikey");
-      apiKeyQr.alt = "Steam API Key QR Code";
-
-      apiKeySection.appendChild(apiKeyLabel);
-      apiKeySection.appendChild(apiKeyQr);
-
-      const steamIdSection = document.createElement("div");
-      steamIdSection.className = "setup-qr-section";
-
-      const steamIdLabel = document.createElement("div");
-      steamIdLabel.className = "setup-qr-label";
-      steamIdLabel.textContent = "SteamID Lookup";
+      this.setupQrCodes.forEach(code => {
+        const section = document.createElement("div");
+        section.className = "setup-qr-section";
 
-      const steamIdQr = document.createElement("img");
-      steamIdQr.className = "setup-qr-image";
-      steamIdQr.src = "https://api.qrserver.com/v1/create-qr-code/?size=200x200&data=" + encodeURIComponent("https://steamid.io");
-      steamIdQr.alt = "SteamID Lookup QR Code";
+        const label = document.createElement("div");
+        label.className = "setup-qr-label";
+        label.textContent = this.getSetupQrLabel(code);
 
-      steamIdSection.appendChild(steamIdLabel);
-      steamIdSection.appendChild(steamIdQr);
+        const qr = document.createElement("img");
+        qr.className = "setup-qr-image";
+        qr.src = code.dataUrl;
+        qr.alt = this.translate("SETUP_QR_ALT", { label: label.textContent });
 
-      qrContainer.appendChild(apiKeySection);
-      qrContainer.appendChild(steamIdSection);
+        section.appendChild(label);
+        section.appendChild(qr);
+        qrContainer.appendChild(section);
+      });
 
       const instructions = document.createElement("div");
       instructions.className = "setup-instructions";
 
-      const instruction1 = document.createElement("div");
-      instruction1.textContent = "1. Open on phone";
-
-      const instruction2 = document.createElement("div");
-      instruction2.textContent = "2. Copy values into config.js";
-
-      const instruction3 = document.createElement("div");
-      instruction3.textContent = "3. Set setup:false after completion";
-
-      instructions.appendChild(instruction1);
-      instructions.appendChild(instruction2);
-      instructions.appendChild(instruction3);
+      const steps = this.config.setupWizard.enabled
+        ? [
+          this.translate("SETUP_WIZARD_STEP_1", { label: this.translate("SETUP_QR_MIRROR") }),
+          this.translate("SETUP_WIZARD_STEP_2"),
+          this.translate("SETUP_WIZARD_STEP_3")
+        ]
+        : [
+          this.translate("SETUP_STEP_1"),
+          this.translate("SETUP_STEP_2"),
+          this.translate("SETUP_STEP_3")
+        ];
+
+      steps.forEach(step => {
+        const instruction = document.createElement("div");
+        instruction.textContent = step;
+        instructions.appendChild(instruction);
+      });
 
       setup.appendChild(title);
       setup.appendChild(qrContainer);
@@ -555,11 +1878,18 @@ Module.register("MMM-SteamFriends", {
     icon.textContent = "🎮";
 
     const title = document.createElement("span");
-    title.textContent = "STEAM FRIENDS";
+    title.textContent = this.translate("TITLE");
 
     titleSection.appendChild(icon);
     titleSection.appendChild(title);
 
+    if (this.isPaging("pages")) {
+      const pageIndicator = document.createElement("span");
+      pageIndicator.className = "steam-page-indicator";
+      pageIndicator.textContent = this.getPageIndicatorText();
+      titleSection.appendChild(pageIndicator);
+    }
+
     const stats = document.createElement("div");
     stats.className = "steam-stats";
 
@@ -593,39 +1923,45 @@ Module.register("MMM-SteamFriends", {
     stats.appendChild(onlineStat);
     stats.appendChild(offlineStat);
 
+    this.friendsMap.clear();
+
+    if (this.getLayout() === "marquee") {
+      root.classList.add("layout-marquee");
+      root.appendChild(this.createMarquee(stats));
+      return root;
+    }
+
     header.appendChild(titleSection);
     header.appendChild(stats);
+    if (this.config.profileCard.enabled && this.profile) {
+      root.appendChild(this.createProfileCard());
+    }
     root.appendChild(header);
 
-    const table = document.createElement("table");
-    table.className = "steam-table";
-    table.style.borderRadius = this.config.borderRadius;
-
-    if (this.config.magicBorder.enabled) {
-      table.classList.add('magic-border');
-      table.style.setProperty('--magic-duration', `${this.config.magicBorder.duration}s`);
-      table.style.setProperty('--magic-intensity', this.config.magicBorder.intensity);
-      table.style.setProperty('--magic-blur-base', `${this.config.magicBorder.blurBase}px`);
-      table.style.setProperty('--magic-blur-peak', `${this.config.magicBorder.blurPeak}px`);
-      table.style.setProperty('--magic-scale-peak', this.config.magicBorder.scalePeak);
+    if (this.isStatsLayout()) {
+      root.appendChild(this.createStatsPanel());
+      return root;
     }
 
-    const tbody = document.createElement("tbody");
+    const friendsView = this.getLayout() === "grid" ? this.createGrid() : this.createTable();
 
-    const friendsToShow = this.friends.slice(0, this.config.maxFriends);
+    if (this.isPaging("scroll")) {
+      const viewport = document.createElement("div");
+      viewport.className = "steam-scroll";
+      viewport.appendChild(friendsView);
+      root.appendChild(viewport);
+      this.scrollPosition = 0;
+      this.scrollPauseUntil = Date.now() + this.config.paging.interval;
+    } else {
+      root.appendChild(friendsView);
+    }
 
-    friendsToShow.forEach(f => {
-      const row = this.createFriendRow(f);
-      this.friendsMap.set(f.id, row);
-      this.previousStates.set(f.id, {
-        status: f.status,
-        inGame: f.inGame
-      });
-      tbody.appendChild(row);
-    });
+    if (this.config.stats.enabled) {
+      const panel = this.createStatsPanel();
+      (this.showingStats ? friendsView : panel).classList.add("page-hidden");
+      root.appendChild(panel);
+    }
 
-    table.appendChild(tbody);
-    root.appendChild(table);
     return root;
   }
 });
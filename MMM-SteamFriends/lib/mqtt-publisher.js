@@ -0,0 +1,191 @@
+// Publishes friend presence to an MQTT broker, with optional Home Assistant discovery
+const DEVICE = {
+  identifiers: ["mmm-steamfriends"],
+  name: "Steam Friends",
+  manufacturer: "MMM-SteamFriends"
+};
+
+const SUMMARY_SENSORS = [
+  { key: "ingame", name: "Friends in game", icon: "mdi:gamepad-variant" },
+  { key: "online", name: "Friends online", icon: "mdi:account-multiple" },
+  { key: "offline", name: "Friends offline", icon: "mdi:account-off" }
+];
+
+function friendStatus(friend) {
+  return friend.inGame ? "In-Game" : friend.status;
+}
+
+// MqttPublisher keeps one broker connection and publishes retained topics per friend.
+// Only values that changed since the last publish are sent again, and friends who
+// left the list have their retained topics cleared, also when they left while the
+// mirror was off.
+class MqttPublisher {
+  constructor(options = {}, connect = null) {
+    this.url = options.url || "mqtt://localhost:1883";
+    this.username = options.username || undefined;
+    this.password = options.password || undefined;
+    this.baseTopic = (options.baseTopic || "steamfriends").replace(/\/+$/, "");
+    this.discovery = options.discovery !== false;
+    this.discoveryPrefix = (options.discoveryPrefix || "homeassistant").replace(/\/+$/, "");
+    this.connect = connect || require("mqtt").connect;
+    this.client = null;
+    this.published = new Map();
+    this.states = new Map();
+    this.announced = new Map();
+    this.leftoverIds = new Set();
+    this.hasPublished = false;
+  }
+
+  get availabilityTopic() {
+    return `${this.baseTopic}/availability`;
+  }
+
+  start() {
+    this.client = this.connect(this.url, {
+      username: this.username,
+      password: this.password,
+      will: { topic: this.availabilityTopic, payload: "offline", retain: true }
+    });
+    this.client.on("connect", () => {
+      console.log(`[MMM-SteamFriends] Connected to MQTT broker ${this.url}`);
+      this.client.publish(this.availabilityTopic, "online", { retain: true });
+      // The broker answers with the retained status of every friend published before
+      this.client.subscribe(`${this.baseTopic}/friend/+/status`);
+    });
+    this.client.on("message", (topic, payload, packet) => this.handleRetained(topic, payload, packet));
+    this.client.on("error", error => {
+      console.warn("[MMM-SteamFriends] MQTT error:", error.message);
+    });
+  }
+
+  stop() {
+    if (!this.client) return;
+    this.client.publish(this.availabilityTopic, "offline", { retain: true });
+    this.client.end();
+    this.client = null;
+  }
+
+  // Publish a retained value unless the broker already has it from us
+  publishRetained(topic, value) {
+    const payload = typeof value === "string" ? value : JSON.stringify(value);
+    if (this.published.get(topic) === payload) return;
+    this.published.set(topic, payload);
+    this.client.publish(topic, payload, { retain: true });
+  }
+
+  // An empty retained payload deletes the retained message on the broker
+  clearRetained(topic) {
+    this.published.delete(topic);
+    this.client.publish(topic, "", { retain: true });
+  }
+
+  publish(friends, now = Date.now()) {
+    if (!this.client) return;
+
+    const currentIds = new Set(friends.map(friend => friend.id));
+    Array.from(new Set([...this.states.keys(), ...this.leftoverIds]))
+      .filter(id => !currentIds.has(id))
+      .forEach(id => this.removeFriend(id));
+    this.leftoverIds.clear();
+    this.hasPublished = true;
+
+    const counts = { ingame: 0, online: 0, offline: 0 };
+    const playing = [];
+
+    friends.forEach(friend => {
+      const status = friendStatus(friend);
+      const stateKey = `${status}|${friend.gameId || ""}`;
+      const previous = this.states.get(friend.id);
+      const since = previous && previous.key === stateKey ? previous.since : now;
+      this.states.set(friend.id, { key: stateKey, since });
+
+      const topic = `${this.baseTopic}/friend/${friend.id}`;
+      const attributes = {
+        name: friend.name,
+        status,
+        game: friend.game || "",
+        gameId: friend.gameId || "",
+        since: new Date(since).toISOString()
+      };
+      this.publishRetained(`${topic}/status`, status);
+      this.publishRetained(`${topic}/game`, attributes.game);
+      this.publishRetained(`${topic}/gameId`, String(attributes.gameId));
+      this.publishRetained(`${topic}/since`, attributes.since);
+      this.publishRetained(`${topic}/attributes`, attributes);
+
+      if (this.discovery) {
+        this.announceFriend(friend);
+      }
+
+      if (friend.inGame) {
+        counts.ingame++;
+        playing.push({ id: friend.id, name: friend.name, game: friend.game, gameId: friend.gameId });
+      } else if (friend.status === "Offline") {
+        counts.offline++;
+      } else {
+        counts.online++;
+      }
+    });
+
+    this.publishRetained(`${this.baseTopic}/summary`, { ...counts, playing });
+    if (this.discovery) {
+      this.announceSummary();
+    }
+  }
+
+  // Retained statuses of friends this publisher does not list are leftovers of an earlier
+  // run; until the first publish it is not known yet which friends are still listed
+  handleRetained(topic, payload, packet) {
+    const prefix = `${this.baseTopic}/friend/`;
+    if (!packet || !packet.retain || payload.length === 0) return;
+    if (!topic.startsWith(prefix) || !topic.endsWith("/status")) return;
+
+    const id = topic.slice(prefix.length, -"/status".length);
+    if (this.states.has(id)) return;
+    if (this.hasPublished) {
+      this.removeFriend(id);
+    } else {
+      this.leftoverIds.add(id);
+    }
+  }
+
+  removeFriend(id) {
+    const topic = `${this.baseTopic}/friend/${id}`;
+    ["status", "game", "gameId", "since", "attributes"].forEach(key => this.clearRetained(`${topic}/${key}`));
+    this.clearRetained(`${this.discoveryPrefix}/sensor/steamfriends_${id}/config`);
+    this.states.delete(id);
+    this.announced.delete(id);
+  }
+
+  announceFriend(friend) {
+    if (this.announced.get(friend.id) === friend.name) return;
+    this.announced.set(friend.id, friend.name);
+
+    const topic = `${this.baseTopic}/friend/${friend.id}`;
+    this.publishRetained(`${this.discoveryPrefix}/sensor/steamfriends_${friend.id}/config`, {
+      name: friend.name,
+      unique_id: `steamfriends_${friend.id}`,
+      state_topic: `${topic}/status`,
+      json_attributes_topic: `${topic}/attributes`,
+      availability_topic: this.availabilityTopic,
+      icon: "mdi:steam",
+      device: DEVICE
+    });
+  }
+
+  announceSummary() {
+    SUMMARY_SENSORS.forEach(sensor => {
+      this.publishRetained(`${this.discoveryPrefix}/sensor/steamfriends_${sensor.key}/config`, {
+        name: sensor.name,
+        unique_id: `steamfriends_${sensor.key}`,
+        state_topic: `${this.baseTopic}/summary`,
+        value_template: `{{ value_json.${sensor.key} }}`,
+        availability_topic: this.availabilityTopic,
+        icon: sensor.icon,
+        device: DEVICE
+      });
+    });
+  }
+}
+
+module.exports = { MqttPublisher };
@@ -0,0 +1,100 @@
+// HTML and form handling for the on-mirror setup wizard served by node_helper.js
+const { translate } = require("./translations");
+
+const MAX_BODY_BYTES = 10 * 1024;
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Parse an application/x-www-form-urlencoded body, reusing express' parsed body when present
+function readFormBody(req) {
+  if (req.body && typeof req.body === "object" && Object.keys(req.body).length > 0) {
+    return Promise.resolve(new URLSearchParams(req.body));
+  }
+
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => resolve(new URLSearchParams(body)));
+    req.on("error", reject);
+  });
+}
+
+function renderBody({ state, error, steamIdInput }, t) {
+  if (state === "done") {
+    return `
+      <p class="ok">${t("SETUP_SAVED")}</p>
+      <p>${t("SETUP_CLOSE_PAGE")}</p>`;
+  }
+
+  if (state === "closed") {
+    return `
+      <p>${t("SETUP_UNAVAILABLE")}</p>`;
+  }
+
+  const keyLink = "<a href=\"https://steamcommunity.com/dev/apikey\">steamcommunity.com/dev/apikey</a>";
+  return `
+      ${error ? `<p class="error">${escapeHtml(error)}</p>` : ""}
+      <form method="post">
+        <label for="apiKey">${t("SETUP_QR_API_KEY")}</label>
+        <input id="apiKey" name="apiKey" autocomplete="off" spellcheck="false" required>
+        <p class="hint">${t("SETUP_API_KEY_HINT").replace("{link}", keyLink)}</p>
+
+        <label for="steamId">${t("SETUP_STEAMID_LABEL")}</label>
+        <input id="steamId" name="steamId" value="${escapeHtml(steamIdInput)}" autocomplete="off" spellcheck="false" required>
+        <p class="hint">${t("SETUP_STEAMID_HINT")}</p>
+
+        <button type="submit">${t("SETUP_SAVE")}</button>
+      </form>`;
+}
+
+// options.language is the mirror's language; strings come from translations/
+function renderSetupPage(options = {}) {
+  const language = options.language || "en";
+  const t = key => escapeHtml(translate(language, key));
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(language)}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${t("SETUP_TITLE")}</title>
+  <style>
+    body { font-family: sans-serif; background: #1b2838; color: #e5e5e5; margin: 0; padding: 24px; }
+    main { max-width: 420px; margin: 0 auto; }
+    h1 { font-size: 1.4rem; }
+    label { display: block; margin-top: 16px; font-weight: 600; }
+    input { width: 100%; box-sizing: border-box; padding: 10px; margin-top: 6px; font-size: 1rem; border-radius: 6px; border: 1px solid #4b6478; background: #0e1a26; color: #fff; }
+    button { margin-top: 24px; width: 100%; padding: 12px; font-size: 1rem; border: 0; border-radius: 6px; background: #00b478; color: #fff; }
+    a { color: #66c0f4; }
+    .hint { font-size: 0.85rem; color: #9aa7b3; margin: 6px 0 0; }
+    .error { background: rgba(200, 40, 40, 0.3); padding: 10px; border-radius: 6px; }
+    .ok { background: rgba(0, 180, 120, 0.3); padding: 10px; border-radius: 6px; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${t("SETUP_TITLE")}</h1>
+    ${renderBody(options, t)}
+  </main>
+</body>
+</html>`;
+}
+
+module.exports = {
+  escapeHtml,
+  readFormBody,
+  renderSetupPage
+};
@@ -0,0 +1,38 @@
+// Mirror-language strings for the setup page and messages that node_helper.js renders itself.
+// The frontend loads the same files through getTranslations().
+const fs = require("fs");
+const path = require("path");
+
+const TRANSLATIONS_DIR = path.join(__dirname, "..", "translations");
+const loaded = new Map();
+
+function loadTranslations(language) {
+  if (!loaded.has(language)) {
+    const file = path.join(TRANSLATIONS_DIR, `${language}.json`);
+    let strings = null;
+    try {
+      strings = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+    } catch (error) {
+      console.warn(`[MMM-SteamFriends] Could not load translations for ${language}:`, error.message);
+    }
+    loaded.set(language, strings);
+  }
+  return loaded.get(language);
+}
+
+// Like the frontend's translate: the mirror language, its base language, then English.
+// Placeholders without a value are left in place.
+function translate(language, key, variables = {}) {
+  const code = String(language || "en").toLowerCase();
+  const candidates = [code, code.split("-")[0], "en"].filter(candidate => /^[a-z]{2,3}(-[a-z0-9]+)?$/.test(candidate));
+
+  for (const candidate of candidates) {
+    const strings = loadTranslations(candidate);
+    if (strings && typeof strings[key] === "string") {
+      return strings[key].replace(/\{(\w+)\}/g, (match, name) => (name in variables ? String(variables[name]) : match));
+    }
+  }
+  return key;
+}
+
+module.exports = { translate };
@@ -0,0 +1,240 @@
+// Outbound webhooks for friend transitions detected by node_helper.js between polls
+const axios = require("axios");
+
+const WEBHOOK_TIMEOUT = 8000;
+const EVENTS = ["online", "offline", "game_start", "game_stop", "game_change"];
+const DEFAULT_EVENTS = ["game_start"];
+
+const DEFAULT_TEMPLATE = {
+  event: "{{event}}",
+  message: "{{message}}",
+  friend: {
+    id: "{{id}}",
+    name: "{{name}}",
+    status: "{{status}}",
+    game: "{{game}}",
+    gameId: "{{gameId}}"
+  }
+};
+
+// Reduce a friends list to the fields transitions are detected on
+function snapshotFriends(friends) {
+  return new Map(friends.map(f => [f.id, {
+    id: f.id,
+    name: f.name,
+    status: f.status,
+    state: f.state,
+    inGame: f.inGame,
+    game: f.game,
+    gameId: f.gameId
+  }]));
+}
+
+function isOnline(friend) {
+  return !!friend && (friend.inGame || friend.state !== "offline");
+}
+
+// Compare two snapshots and list what changed, in the order a person would notice it
+function diffSnapshots(previous, current) {
+  const transitions = [];
+
+  current.forEach((friend, id) => {
+    const before = previous.get(id);
+    if (!before) return;
+
+    if (isOnline(friend) && !isOnline(before)) {
+      transitions.push({ event: "online", friend, previous: before });
+    }
+    if (friend.inGame && !before.inGame) {
+      transitions.push({ event: "game_start", friend, previous: before });
+    } else if (friend.inGame && (friend.gameId !== before.gameId || friend.game !== before.game)) {
+      transitions.push({ event: "game_change", friend, previous: before });
+    } else if (!friend.inGame && before.inGame) {
+      transitions.push({ event: "game_stop", friend, previous: before });
+    }
+    if (!isOnline(friend) && isOnline(before)) {
+      transitions.push({ event: "offline", friend, previous: before });
+    }
+  });
+
+  return transitions;
+}
+
+function formatMessage({ event, friend, previous }) {
+  switch (event) {
+    case "online":
+      return `${friend.name} is online`;
+    case "offline":
+      return `${friend.name} went offline`;
+    case "game_start":
+      return `${friend.name} started playing ${friend.game}`;
+    case "game_change":
+      return `${friend.name} switched from ${previous.game} to ${friend.game}`;
+    case "game_stop":
+      return `${friend.name} stopped playing ${previous.game}`;
+    default:
+      return `${friend.name}: ${event}`;
+  }
+}
+
+// Replace {{placeholders}} in every string of a JSON template
+function renderTemplate(template, values) {
+  if (typeof template === "string") {
+    return template.replace(/\{\{(\w+)\}\}/g, (match, key) =>
+      values[key] === undefined || values[key] === null ? "" : String(values[key])
+    );
+  }
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, values));
+  }
+  if (template && typeof template === "object") {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, values)]));
+  }
+  return template;
+}
+
+// Build the HTTP request for a webhook preset: generic JSON, ntfy, Gotify or Discord
+function buildRequest(hook, transition) {
+  const message = formatMessage(transition);
+  const { friend, previous } = transition;
+  const title = hook.title || "Steam Friends";
+  const headers = { ...(hook.headers || {}) };
+
+  switch (hook.preset) {
+    case "ntfy":
+      if (hook.token) headers.Authorization = `Bearer ${hook.token}`;
+      return {
+        url: hook.url,
+        body: message,
+        headers: { "Content-Type": "text/plain", Title: title, Tags: "video_game", ...headers }
+      };
+
+    case "gotify":
+      return {
+        url: `${hook.url.replace(/\/+$/, "")}/message`,
+        body: { title, message, priority: hook.priority === undefined ? 5 : hook.priority },
+        headers: { "X-Gotify-Key": hook.token || "", ...headers }
+      };
+
+    case "discord":
+      return {
+        url: hook.url,
+        body: { username: title, content: message },
+        headers
+      };
+
+    default:
+      return {
+        url: hook.url,
+        body: renderTemplate(hook.template || DEFAULT_TEMPLATE, {
+          event: transition.event,
+          message,
+          id: friend.id,
+          name: friend.name,
+          status: friend.status,
+          game: friend.game || (previous && previous.game),
+          gameId: friend.gameId || (previous && previous.gameId)
+        }),
+        headers
+      };
+  }
+}
+
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || ""));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+// True when date falls inside { start: "HH:MM", end: "HH:MM" }, which may wrap past midnight
+function isQuietTime(quietHours, date = new Date()) {
+  if (!quietHours) return false;
+  const start = parseClock(quietHours.start);
+  const end = parseClock(quietHours.end);
+  if (start === null || end === null || start === end) return false;
+
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+function matchesGame(games, transition) {
+  if (!games || games.length === 0) return true;
+  const candidates = [transition.friend, transition.previous].filter(Boolean);
+  return games.some(game => {
+    const wanted = String(game).toLowerCase();
+    return candidates.some(f => (f.gameId && String(f.gameId) === wanted) || (f.game && f.game.toLowerCase() === wanted));
+  });
+}
+
+// WebhookDispatcher filters transitions per configured hook and sends them,
+// remembering when each friend last triggered an event to debounce repeats
+class WebhookDispatcher {
+  constructor(hooks = []) {
+    this.hooks = hooks.filter(hook => hook && hook.url);
+    this.lastSent = new Map();
+
+    this.hooks.forEach(hook => {
+      (hook.events || []).filter(event => !EVENTS.includes(event)).forEach(event => {
+        console.warn(`[MMM-SteamFriends] Unknown webhook event "${event}", expected one of ${EVENTS.join(", ")}`);
+      });
+    });
+  }
+
+  // favorites: resolved SteamID64 Sets by hook index, for hooks with a favorites list
+  selectDeliveries(transitions, favorites = [], now = Date.now()) {
+    const deliveries = [];
+
+    this.hooks.forEach((hook, index) => {
+      if (hook.enabled === false) return;
+      if (isQuietTime(hook.quietHours, new Date(now))) return;
+
+      const events = hook.events || DEFAULT_EVENTS;
+      const debounceMs = (hook.debounceMinutes === undefined ? 10 : hook.debounceMinutes) * 60000;
+
+      transitions.forEach(transition => {
+        if (!events.includes(transition.event)) return;
+        if (favorites[index] && !favorites[index].has(transition.friend.id)) return;
+        if (!matchesGame(hook.games, transition)) return;
+
+        const debounceKey = `${index}:${transition.friend.id}:${transition.event}`;
+        const lastSent = this.lastSent.get(debounceKey);
+        if (lastSent !== undefined && now - lastSent < debounceMs) return;
+
+        this.lastSent.set(debounceKey, now);
+        deliveries.push({ hook, transition });
+      });
+    });
+
+    return deliveries;
+  }
+
+  async dispatch(transitions, favorites = [], now = Date.now()) {
+    const deliveries = this.selectDeliveries(transitions, favorites, now);
+
+    await Promise.all(deliveries.map(async ({ hook, transition }) => {
+      const request = buildRequest(hook, transition);
+      try {
+        await axios.post(request.url, request.body, {
+          timeout: WEBHOOK_TIMEOUT,
+          headers: request.headers
+        });
+      } catch (error) {
+        console.warn(`[MMM-SteamFriends] Webhook ${hook.preset || "generic"} failed:`, error.message);
+      }
+    }));
+
+    return deliveries.length;
+  }
+}
+
+module.exports = {
+  EVENTS,
+  snapshotFriends,
+  diffSnapshots,
+  formatMessage,
+  renderTemplate,
+  buildRequest,
+  isQuietTime,
+  WebhookDispatcher
+};
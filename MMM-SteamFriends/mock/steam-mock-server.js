@@ -0,0 +1,106 @@
+// Local stand-in for the Steam Web API and store endpoints used by node_helper.js.
+// Serves canned responses from fixtures.json so the module can run without
+// internet access or a real API key.
+//
+// Usage: node mock/steam-mock-server.js [port]
+// Then set endpoints: { api: "http://localhost:8099", store: "http://localhost:8099" }
+const http = require("http");
+const path = require("path");
+const fs = require("fs");
+
+const DEFAULT_PORT = 8099;
+const FIXTURES_PATH = path.join(__dirname, "fixtures.json");
+
+function loadFixtures(fixturesPath = FIXTURES_PATH) {
+  return JSON.parse(fs.readFileSync(fixturesPath, "utf8"));
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function handleRequest(fixtures, req, res) {
+  const url = new URL(req.url, "http://localhost");
+  const params = url.searchParams;
+
+  if (url.pathname.startsWith("/ISteamUser/") || url.pathname.startsWith("/IPlayerService/")) {
+    if (!params.get("key")) {
+      return sendJson(res, 403, { error: "Forbidden" });
+    }
+  }
+
+  if (url.pathname === "/ISteamUser/GetFriendList/v0001/") {
+    const friends = fixtures.friends.map(f => ({
+      steamid: f.steamid,
+      relationship: "friend",
+      friend_since: 1600000000
+    }));
+    return sendJson(res, 200, { friendslist: { friends } });
+  }
+
+  if (url.pathname === "/ISteamUser/GetPlayerSummaries/v0002/") {
+    const ids = (params.get("steamids") || "").split(",");
+    const players = fixtures.friends.concat(fixtures.owner || []).filter(f => ids.includes(f.steamid));
+    return sendJson(res, 200, { response: { players } });
+  }
+
+  if (url.pathname === "/ISteamUser/ResolveVanityURL/v0001/") {
+    const steamid = fixtures.vanity[params.get("vanityurl")];
+    if (!steamid) {
+      return sendJson(res, 200, { response: { success: 42, message: "No match" } });
+    }
+    return sendJson(res, 200, { response: { success: 1, steamid } });
+  }
+
+  if (url.pathname === "/IPlayerService/GetOwnedGames/v0001/") {
+    const games = fixtures.ownedGames[params.get("steamid")];
+    if (!games) {
+      return sendJson(res, 200, { response: {} });
+    }
+    return sendJson(res, 200, { response: { game_count: games.length, games } });
+  }
+
+  if (url.pathname === "/IPlayerService/GetSteamLevel/v1/") {
+    const level = (fixtures.levels || {})[params.get("steamid")];
+    return sendJson(res, 200, { response: level === undefined ? {} : { player_level: level } });
+  }
+
+  if (url.pathname === "/IPlayerService/GetRecentlyPlayedGames/v0001/") {
+    const games = (fixtures.recentlyPlayed || {})[params.get("steamid")];
+    if (!games) {
+      return sendJson(res, 200, { response: {} });
+    }
+    return sendJson(res, 200, { response: { total_count: games.length, games } });
+  }
+
+  if (url.pathname === "/api/appdetails") {
+    const appId = params.get("appids");
+    const name = ((fixtures.appNames || {})[params.get("l")] || {})[appId];
+    return sendJson(res, 200, { [appId]: name ? { success: true, data: { name } } : { success: false } });
+  }
+
+  const reviewMatch = url.pathname.match(/^\/appreviews\/(\d+)$/);
+  if (reviewMatch) {
+    const summary = fixtures.reviews[reviewMatch[1]];
+    if (!summary) {
+      return sendJson(res, 200, { success: 1, query_summary: { total_positive: 0, total_negative: 0, total_reviews: 0 } });
+    }
+    return sendJson(res, 200, { success: 1, query_summary: summary });
+  }
+
+  return sendJson(res, 404, { error: "Not found" });
+}
+
+function createMockServer(fixtures = loadFixtures()) {
+  return http.createServer((req, res) => handleRequest(fixtures, req, res));
+}
+
+module.exports = { createMockServer, loadFixtures };
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || DEFAULT_PORT;
+  createMockServer().listen(port, () => {
+    console.log(`[MMM-SteamFriends] Mock Steam API listening on http://localhost:${port}`);
+  });
+}
@@ -2,7 +2,13 @@ const NodeHelper = require("node_helper");
 const axios = require("axios");
 const crypto = require("crypto");
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
+const QRCode = require("qrcode");
+const { readFormBody, renderSetupPage } = require("./lib/setup-page");
+const { WebhookDispatcher, snapshotFriends, diffSnapshots } = require("./lib/webhooks");
+const { MqttPublisher } = require("./lib/mqtt-publisher");
+const { translate } = require("./lib/translations");
 
 // API and polling configuration constants
 const API = {
@@ -13,38 +19,107 @@ const API = {
   SCORE_CONCURRENT_REQUESTS: 5,
   SCORE_REQUEST_TIMEOUT: 8000,
   PLAYTIME_CONCURRENT_REQUESTS: 3,
-  PLAYTIME_REQUEST_TIMEOUT: 8000
+  PLAYTIME_REQUEST_TIMEOUT: 8000,
+  EVENT_KEEPALIVE_INTERVAL: 30000,
+  GAME_NAME_CONCURRENT_REQUESTS: 3,
+  PROFILE_DETAILS_TTL: 600000 // Steam level and recently played games change slowly
 };
 
+// Default base URLs per Steam endpoint family (overridable via config.endpoints)
+const DEFAULT_ENDPOINTS = {
+  api: "https://api.steampowered.com",
+  store: "https://store.steampowered.com"
+};
+
+// QR codes always shown on the setup screen, ahead of config.setupQrTargets.
+// key is the translation the frontend shows instead of the English label.
+const DEFAULT_SETUP_QR_TARGETS = [
+  { label: "Steam Web API Key", key: "SETUP_QR_API_KEY", url: "https://steamcommunity.com/dev/apikey" },
+  { label: "SteamID Lookup", key: "SETUP_QR_STEAMID", url: "https://steamid.io" }
+];
+
+// Language-neutral persona state codes; the frontend translates them
+const PERSONA_STATES = {
+  0: "offline",
+  1: "online",
+  2: "busy",
+  3: "away",
+  4: "snooze",
+  5: "trade",
+  6: "play"
+};
+
+// Steam API language names for MagicMirror language codes (reviews and store app names)
+const STEAM_LANGUAGES = {
+  bg: "bulgarian",
+  cs: "czech",
+  da: "danish",
+  de: "german",
+  el: "greek",
+  en: "english",
+  es: "spanish",
+  fi: "finnish",
+  fr: "french",
+  hu: "hungarian",
+  it: "italian",
+  ja: "japanese",
+  ko: "koreana",
+  nb: "norwegian",
+  nl: "dutch",
+  no: "norwegian",
+  pl: "polish",
+  pt: "portuguese",
+  "pt-br": "brazilian",
+  ro: "romanian",
+  ru: "russian",
+  sv: "swedish",
+  th: "thai",
+  tr: "turkish",
+  uk: "ukrainian",
+  vi: "vietnamese",
+  zh: "schinese",
+  "zh-cn": "schinese",
+  "zh-tw": "tchinese"
+};
+
+// EPersonaStateFlag bits that identify the client a friend is signed in with
+const PERSONA_FLAGS = {
+  CLIENT_TYPE_WEB: 256,
+  CLIENT_TYPE_MOBILE: 512,
+  CLIENT_TYPE_TENFOOT: 1024
+};
+
+// SteamID64 of account 0 in the public individual universe, used to convert SteamID2/SteamID3
+const STEAMID64_BASE = 76561197960265728n;
+
 // Validates that a gameId is a valid Steam app ID (numeric, 1-10 digits)
 function isValidGameId(gameId) {
   return gameId && /^\d{1,10}$/.test(String(gameId));
 }
 
-// ScoresCache class for managing game review scores with file persistence
-class ScoresCache {
-  constructor(cachePath, ttlDays = 7) {
+// JsonFileStore keeps a JSON file in memory as a Map and writes it back atomically
+// (temp file + rename), at most every persistIntervalMs unless saved explicitly
+class JsonFileStore {
+  constructor(cachePath, description) {
     this.cachePath = cachePath;
-    this.ttlMs = ttlDays * 24 * 60 * 60 * 1000;
+    this.description = description;
     this.cache = new Map();
     this.dirty = false;
     this.lastPersist = Date.now();
-    this.persistIntervalMs = 5 * 60 * 1000; // 5 minutes
+    this.persistIntervalMs = 5 * 60 * 1000;
+    this.indent = 2;
   }
 
   async load() {
     try {
       if (fs.existsSync(this.cachePath)) {
         const data = await fs.promises.readFile(this.cachePath, "utf8");
-        const parsed = JSON.parse(data);
-        for (const [key, value] of Object.entries(parsed)) {
-          this.cache.set(key, value);
-        }
-        console.log(`[MMM-SteamFriends] Loaded ${this.cache.size} cached game scores`);
+        this.fromJSON(JSON.parse(data));
+        console.log(`[MMM-SteamFriends] Loaded ${this.describeContents()}`);
       }
     } catch (error) {
-      console.warn("[MMM-SteamFriends] Could not load score cache, starting fresh:", error.message);
-      this.cache = new Map();
+      console.warn(`[MMM-SteamFriends] Could not load ${this.description}:`, error.message);
+      this.reset();
     }
   }
 
@@ -53,21 +128,17 @@ class ScoresCache {
 
     const tempPath = this.cachePath + ".tmp";
     try {
-      const data = Object.fromEntries(this.cache);
-      await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2), "utf8");
+      await fs.promises.writeFile(tempPath, JSON.stringify(this.toJSON(), null, this.indent), "utf8");
       await fs.promises.rename(tempPath, this.cachePath);
       this.dirty = false;
       this.lastPersist = Date.now();
     } catch (error) {
-      console.error("[MMM-SteamFriends] Could not save score cache:", error.message);
-      // Clean up temp file if it exists
+      console.error(`[MMM-SteamFriends] Could not save ${this.description}:`, error.message);
       try {
         if (fs.existsSync(tempPath)) {
           await fs.promises.unlink(tempPath);
         }
-      } catch (e) {
-        // Ignore cleanup errors
-      }
+      } catch (e) {}
     }
   }
 
@@ -77,29 +148,66 @@ class ScoresCache {
     }
   }
 
-  get(gameId) {
-    if (!isValidGameId(gameId)) return null;
-    const key = String(gameId);
-    const entry = this.cache.get(key);
-    if (!entry) return null;
+  fromJSON(data) {
+    this.cache = new Map(Object.entries(data));
+  }
 
-    // Return even if stale (stale-while-revalidate pattern)
-    return entry;
+  toJSON() {
+    return Object.fromEntries(this.cache);
   }
 
-  set(gameId, scoreData) {
-    if (!isValidGameId(gameId)) return;
-    const key = String(gameId);
+  reset() {
+    this.cache = new Map();
+  }
+
+  describeContents() {
+    return `${this.cache.size} ${this.description} entries`;
+  }
+
+  get(key) {
+    return this.cache.get(key) || null;
+  }
+}
+
+// TtlCache stamps entries with cachedAt; stale entries are still returned (stale-while-revalidate)
+class TtlCache extends JsonFileStore {
+  constructor(cachePath, description, ttlMs) {
+    super(cachePath, description);
+    this.ttlMs = ttlMs;
+  }
+
+  set(key, data) {
     this.cache.set(key, {
-      ...scoreData,
+      ...data,
       cachedAt: Date.now()
     });
     this.dirty = true;
   }
 
-  isStale(entry) {
+  isStale(entry, ttlMs = this.ttlMs) {
     if (!entry || !entry.cachedAt) return true;
-    return Date.now() - entry.cachedAt > this.ttlMs;
+    return Date.now() - entry.cachedAt > ttlMs;
+  }
+}
+
+// ScoresCache stores game review scores per app ID
+class ScoresCache extends TtlCache {
+  constructor(cachePath, ttlDays = 7) {
+    super(cachePath, "score cache", ttlDays * 24 * 60 * 60 * 1000);
+  }
+
+  describeContents() {
+    return `${this.cache.size} cached game scores`;
+  }
+
+  get(gameId) {
+    if (!isValidGameId(gameId)) return null;
+    return super.get(String(gameId));
+  }
+
+  set(gameId, scoreData) {
+    if (!isValidGameId(gameId)) return;
+    super.set(String(gameId), scoreData);
   }
 
   isInvalid(entry) {
@@ -107,157 +215,1328 @@ class ScoresCache {
   }
 }
 
-class PlaytimeCache {
+// PlaytimeCache stores each friend's total playtime
+class PlaytimeCache extends TtlCache {
   constructor(cachePath, ttlHours = 24) {
-    this.cachePath = cachePath;
-    this.ttlMs = ttlHours * 60 * 60 * 1000;
-    this.cache = new Map();
-    this.dirty = false;
-    this.lastPersist = Date.now();
-    this.persistIntervalMs = 5 * 60 * 1000;
+    super(cachePath, "playtime cache", ttlHours * 60 * 60 * 1000);
   }
 
-  async load() {
+  describeContents() {
+    return `${this.cache.size} cached playtimes`;
+  }
+}
+
+// RecentGamesCache stores each friend's recently played games
+class RecentGamesCache extends TtlCache {
+  constructor(cachePath, ttlHours = 6) {
+    super(cachePath, "recent games cache", ttlHours * 60 * 60 * 1000);
+  }
+
+  describeContents() {
+    return `recent games for ${this.cache.size} friends`;
+  }
+}
+
+// GameNamesCache stores store app names per Steam language
+class GameNamesCache extends TtlCache {
+  constructor(cachePath, ttlDays = 30) {
+    super(cachePath, "game names cache", ttlDays * 24 * 60 * 60 * 1000);
+  }
+
+  describeContents() {
+    return `${this.cache.size} cached game names`;
+  }
+
+  get(language, gameId) {
+    if (!isValidGameId(gameId)) return null;
+    return super.get(`${language}:${gameId}`);
+  }
+
+  // name is null when the store has no entry, so the app isn't requested every poll
+  set(language, gameId, nameData) {
+    if (!isValidGameId(gameId)) return;
+    super.set(`${language}:${gameId}`, nameData);
+  }
+}
+
+// SteamIdCache maps vanity names to SteamID64s
+class SteamIdCache extends TtlCache {
+  constructor(cachePath, ttlDays = 30) {
+    super(cachePath, "SteamID cache", ttlDays * 24 * 60 * 60 * 1000);
+  }
+
+  describeContents() {
+    return `${this.cache.size} cached SteamIDs`;
+  }
+
+  set(vanity, steamId) {
+    super.set(vanity, { steamId });
+  }
+}
+
+// HistoryStore records online/offline and game start/stop transitions per friend
+class HistoryStore extends JsonFileStore {
+  constructor(cachePath, maxEventsPerFriend = 50) {
+    super(cachePath, "session history");
+    this.maxEventsPerFriend = maxEventsPerFriend;
+  }
+
+  describeContents() {
+    return `session history for ${this.cache.size} friends`;
+  }
+
+  // Bring the stored state in line with a snapshot and log the poll's transitions.
+  // The first sighting of a friend only seeds the state, and changes without a transition
+  // (e.g. while the mirror was off) update it silently. Instances sharing the store log once.
+  record(friends, transitions = [], now = Date.now()) {
+    const reported = new Map();
+    transitions.forEach(({ event, friend }) => {
+      reported.set(friend.id, [...(reported.get(friend.id) || []), event]);
+    });
+
+    friends.forEach(friend => {
+      const online = friend.inGame || friend.state !== "offline";
+      const gameKey = friend.inGame ? String(friend.gameId || friend.game) : null;
+      const entry = this.cache.get(friend.id);
+
+      if (!entry) {
+        this.cache.set(friend.id, {
+          online,
+          onlineSince: online ? now : null,
+          gameKey,
+          gameId: gameKey ? friend.gameId : null,
+          game: gameKey ? friend.game : "",
+          gameSince: gameKey ? now : null,
+          lastGame: null,
+          events: []
+        });
+        this.dirty = true;
+        return;
+      }
+
+      const friendEvents = reported.get(friend.id) || [];
+      const events = [];
+
+      if (online !== entry.online) {
+        const type = online ? "online" : "offline";
+        if (friendEvents.includes(type)) {
+          events.push({ type, at: now });
+        }
+        entry.online = online;
+        entry.onlineSince = online ? now : null;
+        this.dirty = true;
+      }
+
+      if (gameKey !== entry.gameKey) {
+        if (entry.gameKey) {
+          entry.lastGame = {
+            gameId: entry.gameId,
+            game: entry.game,
+            startedAt: entry.gameSince,
+            endedAt: now
+          };
+          if (friendEvents.includes("game_stop") || friendEvents.includes("game_change")) {
+            events.push({ type: "game_stop", at: now, gameId: entry.gameId, game: entry.game, startedAt: entry.gameSince });
+          }
+        }
+        if (gameKey && (friendEvents.includes("game_start") || friendEvents.includes("game_change"))) {
+          events.push({ type: "game_start", at: now, gameId: friend.gameId, game: friend.game });
+        }
+        entry.gameKey = gameKey;
+        entry.gameId = gameKey ? friend.gameId : null;
+        entry.game = gameKey ? friend.game : "";
+        entry.gameSince = gameKey ? now : null;
+        this.dirty = true;
+      }
+
+      if (events.length > 0) {
+        entry.events.push(...events);
+        if (entry.events.length > this.maxEventsPerFriend) {
+          entry.events.splice(0, entry.events.length - this.maxEventsPerFriend);
+        }
+      }
+    });
+  }
+
+  // Attach "playing since" and "last played" details to a friend object
+  annotate(friend) {
+    const entry = this.cache.get(friend.id);
+    if (!entry) return;
+
+    if (friend.inGame && typeof entry.gameSince === "number") {
+      friend.gameSince = entry.gameSince;
+    }
+    if (!friend.inGame && entry.lastGame) {
+      friend.lastPlayed = {
+        game: entry.lastGame.game,
+        gameId: entry.lastGame.gameId,
+        at: entry.lastGame.endedAt
+      };
+    }
+  }
+}
+
+// ActivityLog keeps a rolling per-hour record of poll data for the weekly stats panel.
+// Each poll credits the time since the previous poll to the friends online and in game.
+class ActivityLog extends JsonFileStore {
+  constructor(cachePath, days = 7) {
+    super(cachePath, "activity log");
+    this.days = days;
+    this.indent = 0;
+    this.reset();
+  }
+
+  fromJSON(data) {
+    this.hours = new Map(Object.entries(data.hours || {}));
+    this.friends = data.friends || {};
+    this.games = data.games || {};
+    this.lastRecordAt = data.lastRecordAt || null;
+  }
+
+  toJSON() {
+    return {
+      lastRecordAt: this.lastRecordAt,
+      friends: this.friends,
+      games: this.games,
+      hours: Object.fromEntries(this.hours)
+    };
+  }
+
+  reset() {
+    this.hours = new Map();
+    this.friends = {};
+    this.games = {};
+    this.lastRecordAt = null;
+  }
+
+  describeContents() {
+    return `${this.hours.size} hours of friend activity`;
+  }
+
+  // Credit the time since the previous poll to this snapshot. Gaps longer than
+  // maxGapMs (mirror off, fetch errors) are skipped instead of guessed.
+  record(friends, now = Date.now(), maxGapMs = 10 * 60 * 1000) {
+    const elapsed = this.lastRecordAt === null ? 0 : now - this.lastRecordAt;
+    this.lastRecordAt = now;
+    this.dirty = true;
+    this.prune(now);
+
+    friends.forEach(friend => {
+      this.friends[friend.id] = { name: friend.name };
+      if (friend.inGame) {
+        this.games[String(friend.gameId || friend.game)] = friend.game || String(friend.gameId);
+      }
+    });
+
+    if (elapsed <= 0 || elapsed > maxGapMs) return;
+
+    const minutes = elapsed / 60000;
+    const hourKey = String(now - (now % 3600000));
+    const bucket = this.hours.get(hourKey) || { online: {}, games: {} };
+
+    friends.forEach(friend => {
+      if (friend.inGame || friend.state !== "offline") {
+        bucket.online[friend.id] = roundMinutes((bucket.online[friend.id] || 0) + minutes);
+      }
+      if (friend.inGame) {
+        const gameKey = String(friend.gameId || friend.game);
+        const played = bucket.games[friend.id] || (bucket.games[friend.id] = {});
+        played[gameKey] = roundMinutes((played[gameKey] || 0) + minutes);
+      }
+    });
+
+    this.hours.set(hourKey, bucket);
+  }
+
+  // Drop hours outside the window, and the friend and game names only those hours used
+  prune(now = Date.now()) {
+    const cutoff = now - this.days * 24 * 3600000;
+    for (const hourKey of this.hours.keys()) {
+      if (Number(hourKey) < cutoff - 3600000) {
+        this.hours.delete(hourKey);
+        this.dirty = true;
+      }
+    }
+
+    const friendIds = new Set();
+    const gameKeys = new Set();
+    for (const bucket of this.hours.values()) {
+      Object.keys(bucket.online).forEach(id => friendIds.add(id));
+      Object.entries(bucket.games).forEach(([id, played]) => {
+        friendIds.add(id);
+        Object.keys(played).forEach(gameKey => gameKeys.add(gameKey));
+      });
+    }
+    Object.keys(this.friends).forEach(id => {
+      if (!friendIds.has(id)) delete this.friends[id];
+    });
+    Object.keys(this.games).forEach(gameKey => {
+      if (!gameKeys.has(gameKey)) delete this.games[gameKey];
+    });
+  }
+
+  // Summarize the log: top games, hours per friend, busiest hours of the day and play streaks
+  computeStats(now = Date.now(), { topGames = 5, topFriends = 5 } = {}) {
+    const gameMinutes = {};
+    const gamePlayers = {};
+    const friendMinutes = {};
+    const hourOfDay = new Array(24).fill(0);
+    const playedDays = {};
+
+    for (const [hourKey, bucket] of this.hours) {
+      const hourStart = new Date(Number(hourKey));
+      const day = localDayKey(hourStart);
+
+      Object.values(bucket.online).forEach(minutes => {
+        hourOfDay[hourStart.getHours()] += minutes;
+      });
+
+      Object.entries(bucket.games).forEach(([friendId, played]) => {
+        (playedDays[friendId] || (playedDays[friendId] = new Set())).add(day);
+        Object.entries(played).forEach(([gameKey, minutes]) => {
+          gameMinutes[gameKey] = (gameMinutes[gameKey] || 0) + minutes;
+          (gamePlayers[gameKey] || (gamePlayers[gameKey] = new Set())).add(friendId);
+          friendMinutes[friendId] = (friendMinutes[friendId] || 0) + minutes;
+        });
+      });
+    }
+
+    const friendName = id => (this.friends[id] && this.friends[id].name) || id;
+
+    return {
+      days: this.days,
+      topGames: Object.entries(gameMinutes)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, topGames)
+        .map(([gameKey, minutes]) => ({
+          gameId: isValidGameId(gameKey) ? gameKey : null,
+          game: this.games[gameKey] || gameKey,
+          hours: toHours(minutes),
+          players: gamePlayers[gameKey].size
+        })),
+      friends: Object.entries(friendMinutes)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, topFriends)
+        .map(([id, minutes]) => ({ id, name: friendName(id), hours: toHours(minutes) })),
+      busiestHours: hourOfDay.map(toHours),
+      streaks: Object.entries(playedDays)
+        .map(([id, days]) => ({ id, name: friendName(id), days: countStreak(days, now) }))
+        .filter(streak => streak.days >= 2)
+        .sort((a, b) => b.days - a.days || a.name.localeCompare(b.name))
+        .slice(0, topFriends)
+    };
+  }
+}
+
+function roundMinutes(minutes) {
+  return Math.round(minutes * 100) / 100;
+}
+
+function toHours(minutes) {
+  return Math.round(minutes / 6) / 10;
+}
+
+function localDayKey(date) {
+  return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
+
+// Consecutive days with play ending today, or yesterday when today has no play yet
+function countStreak(days, now) {
+  const day = new Date(now);
+  if (!days.has(localDayKey(day))) {
+    day.setDate(day.getDate() - 1);
+  }
+  let streak = 0;
+  while (days.has(localDayKey(day))) {
+    streak++;
+    day.setDate(day.getDate() - 1);
+  }
+  return streak;
+}
+
+// CredentialsStore persists steamId/steamApiKey entered through the setup wizard.
+// The dotfile name keeps it out of MagicMirror's static /modules file serving.
+class CredentialsStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = await fs.promises.readFile(this.filePath, "utf8");
+        const parsed = JSON.parse(data);
+        if (parsed && parsed.steamApiKey && parsed.steamId) {
+          return parsed;
+        }
+      }
+    } catch (error) {
+      console.warn("[MMM-SteamFriends] Could not load saved credentials:", error.message);
+    }
+    return null;
+  }
+
+  async save(credentials) {
+    const tempPath = this.filePath + ".tmp";
+    try {
+      const data = { ...credentials, savedAt: Date.now() };
+      await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2), { encoding: "utf8", mode: 0o600 });
+      await fs.promises.rename(tempPath, this.filePath);
+    } catch (error) {
+      try {
+        if (fs.existsSync(tempPath)) {
+          await fs.promises.unlink(tempPath);
+        }
+      } catch (e) {}
+      throw error;
+    }
+  }
+}
+
+module.exports = NodeHelper.create({
+  start() {
+    this.helper = this;
+    this.instances = new Map();
+    this.initInstanceState();
+    this.scoresCache = null;
+    this.scoreRateLimitBackoff = 0;
+    this.playtimeCache = null;
+    this.recentGamesCache = null;
+    this.gameNamesCache = null;
+    this.accountStores = new Map();
+    this.broadcastStates = new Map();
+    this.storeDir = __dirname;
+    this.friendListCache = new Map();
+    this.summaryCache = new Map();
+    this.fetchQueue = Promise.resolve();
+    this.eventClients = new Set();
+    this.eventKeepAlive = null;
+    this.steamIdCache = new SteamIdCache(path.join(__dirname, ".steamid-cache.json"));
+    this.unresolvableIds = new Set();
+    this.credentialsStore = new CredentialsStore(path.join(__dirname, ".steam-credentials.json"));
+    this.registerSetupRoutes();
+    this.registerApiRoutes();
+  },
+
+  // Poll and change-detection state that every module instance keeps for itself
+  initInstanceState() {
+    this.config = null;
+    this.historyStore = null;
+    this.activityLog = null;
+    this.language = "en";
+    this.pollInterval = null;
+    this.lastFriendsHash = null;
+    this.lastGroupsHash = null;
+    this.groupMembers = [];
+    this.lastStatsHash = null;
+    this.lastProfileHash = null;
+    this.profileDetails = null;
+    this.errorCount = 0;
+    this.maxErrors = API.MAX_CONSECUTIVE_ERRORS;
+    this.fetchInProgress = false;
+    this.setupInProgress = false;
+    this.ownerNames = new Map();
+    this.configuredFilters = null;
+    this.webhookDispatcher = null;
+    this.lastSnapshot = null;
+    this.apiFriends = null;
+    this.apiUpdatedAt = null;
+    this.lastApiHash = null;
+    this.lastError = null;
+    this.mqttPublisher = null;
+    this.lastMqttHash = null;
+    this.stateSince = new Map();
+  },
+
+  // Each frontend instance gets a view of the helper: it inherits the methods and the
+  // shared caches, owns its config and poll state, and tags every socket notification
+  // with its identifier so only that instance picks it up.
+  getInstance(identifier) {
+    const helper = this.helper;
+    let instance = helper.instances.get(identifier);
+    if (!instance) {
+      instance = Object.create(helper);
+      instance.identifier = identifier;
+      instance.initInstanceState();
+      instance.sendSocketNotification = (notification, payload) => {
+        helper.sendSocketNotification(notification, { identifier, payload });
+      };
+      helper.instances.set(identifier, instance);
+    }
+    return instance;
+  },
+
+  async stop() {
+    this.instances.forEach(instance => {
+      if (instance.pollInterval) {
+        clearInterval(instance.pollInterval);
+        instance.pollInterval = null;
+      }
+      if (instance.mqttPublisher) {
+        instance.mqttPublisher.stop();
+      }
+    });
+    console.log("[MMM-SteamFriends] Polling stopped");
+
+    if (this.scoresCache) {
+      await this.scoresCache.save();
+    }
+    if (this.playtimeCache) {
+      await this.playtimeCache.save();
+    }
+    if (this.recentGamesCache) {
+      await this.recentGamesCache.save();
+    }
+    if (this.gameNamesCache) {
+      await this.gameNamesCache.save();
+    }
+    for (const stores of this.accountStores.values()) {
+      if (stores.historyStore) {
+        await stores.historyStore.save();
+      }
+      if (stores.activityLog) {
+        await stores.activityLog.save();
+      }
+    }
+    await this.steamIdCache.save();
+    this.eventClients.forEach(res => res.end());
+    this.eventClients.clear();
+    clearInterval(this.eventKeepAlive);
+  },
+
+  // Every frontend notification carries the sending instance's identifier
+  async socketNotificationReceived(notification, payload = {}) {
+    await this.getInstance(payload.identifier).handleNotification(notification, payload);
+  },
+
+  async handleNotification(notification, payload) {
+    if (notification === "INIT") {
+      if (this.pollInterval) {
+        clearInterval(this.pollInterval);
+        this.pollInterval = null;
+      }
+
+      this.config = payload.config;
+      this.language = payload.language || "en";
+      this.lastFriendsHash = null;
+      this.lastGroupsHash = null;
+      this.lastStatsHash = null;
+      this.lastProfileHash = null;
+      this.configuredFilters = this.snapshotFilters();
+      await this.applyStoredCredentials();
+
+      if (this.isSetupPending()) {
+        await this.sendSetupQrCodes();
+        return;
+      }
+
+      await this.startPolling();
+    }
+
+    if (notification === "SUSPEND") {
+      if (this.pollInterval) {
+        clearInterval(this.pollInterval);
+        this.pollInterval = null;
+        console.log("[MMM-SteamFriends] Polling suspended");
+      }
+    }
+
+    if (notification === "RESUME") {
+      if (!this.pollInterval && this.config && !this.isSetupPending()) {
+        await this.fetchFriends();
+        this.pollInterval = setInterval(
+          () => this.fetchFriends(),
+          this.config.updateInterval
+        );
+        console.log("[MMM-SteamFriends] Polling resumed");
+      }
+    }
+
+    if (notification === "REFRESH") {
+      if (this.config && !this.isSetupPending()) {
+        await this.fetchFriends();
+      }
+    }
+
+    if (notification === "SET_SORT") {
+      await this.setSort(payload.sort);
+    }
+
+    if (notification === "SET_FILTER") {
+      await this.setFilter(payload.filter);
+    }
+  },
+
+  async setSort(sortFriends) {
+    if (!this.config) return;
+
+    this.config.sortFriends = sortFriends;
+    if (sortFriends === "totalPlaytime" && !this.playtimeCache) {
+      this.helper.playtimeCache = new PlaytimeCache(path.join(__dirname, ".playtime-cache.json"), 24);
+      await this.playtimeCache.load();
+    }
+    console.log(`[MMM-SteamFriends] Sorting by ${sortFriends}`);
+
+    if (!this.isSetupPending()) {
+      await this.fetchFriends();
+    }
+  },
+
+  snapshotFilters() {
+    return JSON.parse(JSON.stringify({
+      filters: this.config.filters || {},
+      friendAllowlist: this.config.friendAllowlist || [],
+      friendBlocklist: this.config.friendBlocklist || []
+    }));
+  },
+
+  // Change filters at runtime. Filter keys are merged over the current filters,
+  // friendAllowlist/friendBlocklist replace the lists and { reset: true } restores config.js.
+  async setFilter(payload) {
+    if (!this.config || !payload || typeof payload !== "object") return;
+
+    const base = payload.reset && this.configuredFilters ? this.configuredFilters : this.snapshotFilters();
+    const filters = { ...base.filters };
+    ["maxOfflineDays", "hideStatuses", "onlyGames", "countries", "excludeCountries"].forEach(key => {
+      if (payload[key] !== undefined) filters[key] = payload[key];
+    });
+
+    this.config.filters = filters;
+    this.config.friendAllowlist = Array.isArray(payload.friendAllowlist) ? payload.friendAllowlist : base.friendAllowlist;
+    this.config.friendBlocklist = Array.isArray(payload.friendBlocklist) ? payload.friendBlocklist : base.friendBlocklist;
+
+    if (!this.isSetupPending()) {
+      await this.fetchFriends();
+    }
+  },
+
+  async startPolling() {
+    const config = this.config;
+    // A repeated INIT or setup restarts polling instead of adding a second interval
+    clearInterval(this.pollInterval);
+    this.pollInterval = null;
+
+    await this.steamIdCache.load();
+    this.unresolvableIds.clear();
+
+    // Cache files are shared by all instances; the first instance that needs one creates it
+    const helper = this.helper;
+
+    if (config.gameScore && config.gameScore.enabled && !helper.scoresCache) {
+      const cachePath = path.join(__dirname, ".game-scores-cache.json");
+      const ttlDays = config.gameScore.refreshDays || 7;
+      helper.scoresCache = new ScoresCache(cachePath, ttlDays);
+      await helper.scoresCache.load();
+    }
+
+    if (config.sortFriends === "totalPlaytime" && !helper.playtimeCache) {
+      const cachePath = path.join(__dirname, ".playtime-cache.json");
+      helper.playtimeCache = new PlaytimeCache(cachePath, 24);
+      await helper.playtimeCache.load();
+    }
+
+    if (config.recentGames && config.recentGames.enabled && !helper.recentGamesCache) {
+      const cachePath = path.join(__dirname, ".recent-games-cache.json");
+      helper.recentGamesCache = new RecentGamesCache(cachePath, config.recentGames.refreshHours || 6);
+      await helper.recentGamesCache.load();
+    }
+
+    if (config.localizeGameNames !== false && this.getSteamLanguage() !== "english" && !helper.gameNamesCache) {
+      const cachePath = path.join(__dirname, ".game-names-cache.json");
+      helper.gameNamesCache = new GameNamesCache(cachePath, 30);
+      await helper.gameNamesCache.load();
+    }
+
+    // Session history describes the friends of one set of accounts: instances showing
+    // the same accounts share it, others get their own file
+    const accountKey = this.getAccountKey();
+    const stores = helper.accountStores.get(accountKey) || {};
+    helper.accountStores.set(accountKey, stores);
+
+    if (config.history && config.history.enabled && !stores.historyStore) {
+      const cachePath = path.join(helper.storeDir, `.session-history-${accountKey}.json`);
+      stores.historyStore = new HistoryStore(cachePath, config.history.maxEventsPerFriend || 50);
+      await stores.historyStore.load();
+    }
+
+    this.historyStore = config.history && config.history.enabled ? stores.historyStore : null;
+
+    if (this.mqttPublisher) {
+      this.mqttPublisher.stop();
+      this.mqttPublisher = null;
+    }
+    if (config.mqtt && config.mqtt.enabled) {
+      this.mqttPublisher = new MqttPublisher(config.mqtt);
+      this.mqttPublisher.start();
+      this.lastMqttHash = null;
+    }
+
+    this.webhookDispatcher = Array.isArray(config.webhooks) && config.webhooks.length > 0
+      ? new WebhookDispatcher(config.webhooks)
+      : null;
+
+    await this.fetchFriends();
+
+    this.pollInterval = setInterval(
+      () => this.fetchFriends(),
+      config.updateInterval
+    );
+  },
+
+  isSetupPending() {
+    return !!(this.config && this.config.setup && (!this.config.steamApiKey || !this.hasOwners()));
+  },
+
+  // steamId may be one account or a list of accounts, each a string or { steamId, label }
+  getOwnerEntries() {
+    const value = this.config.steamId;
+    const entries = Array.isArray(value) ? value : [value];
+    return entries
+      .map(entry => (entry && typeof entry === "object"
+        ? { input: entry.steamId, label: entry.label || null }
+        : { input: entry, label: null }))
+      .filter(entry => entry.input);
+  },
+
+  // Short stable id of the configured owner accounts, used in per-account file names.
+  // Resolved allow- and blocklists narrow it for stores that only count the friends they let through.
+  getAccountKey(allowlist = null, blocklist = null) {
+    const parts = [this.getOwnerEntries().map(entry => String(entry.input)).sort().join(",")];
+    if (allowlist || blocklist) {
+      parts.push(Array.from(allowlist || []).sort().join(","), Array.from(blocklist || []).sort().join(","));
+    }
+    return crypto.createHash("md5").update(parts.join(";")).digest("hex").slice(0, 8);
+  },
+
+  // Instances share an activity log only when they show the same accounts through the same lists
+  async getActivityLog(allowlist, blocklist) {
+    const storeKey = this.getAccountKey(allowlist, blocklist);
+    const stores = this.accountStores.get(storeKey) || {};
+    this.accountStores.set(storeKey, stores);
+
+    if (!stores.activityLog) {
+      const cachePath = path.join(this.storeDir, `.activity-log-${storeKey}.json`);
+      stores.activityLog = new ActivityLog(cachePath, this.config.stats.days || 7);
+      await stores.activityLog.load();
+    }
+    return stores.activityLog;
+  },
+
+  hasOwners() {
+    return this.getOwnerEntries().length > 0;
+  },
+
+  isSetupWizardOpen() {
+    return this.isSetupPending() && !!(this.config.setupWizard && this.config.setupWizard.enabled);
+  },
+
+  // Fill in credentials missing from config.js with those saved by the setup wizard
+  async applyStoredCredentials() {
+    if (this.config.steamApiKey && this.hasOwners()) return;
+
+    const stored = await this.credentialsStore.load();
+    if (!stored) return;
+
+    this.config.steamApiKey = this.config.steamApiKey || stored.steamApiKey;
+    this.config.steamId = this.hasOwners() ? this.config.steamId : stored.steamId;
+    this.sendSocketNotification("SETUP_COMPLETE", { steamId: this.config.steamId });
+  },
+
+  registerSetupRoutes() {
+    if (!this.expressApp) return;
+
+    const route = `/${this.name}/setup`;
+
+    this.expressApp.get(route, (req, res) => {
+      const instance = this.getSetupInstance();
+      res.send(renderSetupPage({ state: instance ? "form" : "closed", language: this.getPageLanguage(instance) }));
+    });
+
+    this.expressApp.post(route, async (req, res) => {
+      const instance = this.getSetupInstance();
+      const language = this.getPageLanguage(instance);
+      if (!instance) {
+        res.status(403).send(renderSetupPage({ state: "closed", language }));
+        return;
+      }
+
+      let steamIdInput = "";
+      try {
+        const form = await readFormBody(req);
+        steamIdInput = (form.get("steamId") || "").trim();
+        await instance.completeSetup((form.get("apiKey") || "").trim(), steamIdInput);
+        res.send(renderSetupPage({ state: "done", language }));
+      } catch (error) {
+        res.status(400).send(renderSetupPage({ state: "form", error: error.message, steamIdInput, language }));
+      }
+    });
+  },
+
+  // The setup page follows the mirror language of the instance waiting for setup, or of any instance
+  getPageLanguage(instance) {
+    const source = instance || this.helper.instances.values().next().value;
+    return (source && source.language) || "en";
+  },
+
+  getSetupInstance() {
+    return Array.from(this.helper.instances.values()).find(instance => instance.config && instance.isSetupWizardOpen()) || null;
+  },
+
+  // Submissions arriving while one is being checked are turned away
+  async completeSetup(apiKey, steamIdInput) {
+    if (this.setupInProgress) {
+      throw new Error(translate(this.language, "SETUP_ERROR_BUSY"));
+    }
+    this.setupInProgress = true;
+    try {
+      await this.runSetup(apiKey, steamIdInput);
+    } finally {
+      this.setupInProgress = false;
+    }
+  },
+
+  // Validate wizard input against Steam, persist it and start polling
+  async runSetup(apiKey, steamIdInput) {
+    if (!/^[0-9A-Fa-f]{32}$/.test(apiKey)) {
+      throw new Error(translate(this.language, "SETUP_ERROR_API_KEY_FORMAT"));
+    }
+    if (!steamIdInput) {
+      throw new Error(translate(this.language, "SETUP_ERROR_STEAMID_MISSING"));
+    }
+
+    let steamId;
+    try {
+      steamId = await this.resolveSteamId(steamIdInput, apiKey);
+      await this.validateCredentials(apiKey, steamId);
+    } catch (error) {
+      throw new Error(this.describeSetupError(error, steamIdInput));
+    }
+
+    await this.credentialsStore.save({ steamApiKey: apiKey, steamId });
+    this.config.steamApiKey = apiKey;
+    this.config.steamId = steamId;
+
+    console.log("[MMM-SteamFriends] Setup complete, starting polling");
+    this.sendSocketNotification("SETUP_COMPLETE", { steamId });
+    await this.startPolling();
+
+    // Other instances waiting for setup pick up the saved credentials as well
+    for (const instance of this.helper.instances.values()) {
+      if (instance === this || !instance.isSetupPending()) continue;
+      await instance.applyStoredCredentials();
+      if (!instance.isSetupPending()) {
+        await instance.startPolling();
+      }
+    }
+  },
+
+  // Setup errors are shown on the setup page, in the mirror language
+  describeSetupError(error, steamIdInput) {
+    const status = error.response && error.response.status;
+    if (status === 403) return translate(this.language, "SETUP_ERROR_KEY_REJECTED");
+    if (status === 401) return translate(this.language, "SETUP_ERROR_PRIVATE");
+    if (status) return translate(this.language, "SETUP_ERROR_HTTP", { status });
+    if (error.code) return translate(this.language, "SETUP_ERROR_UNREACHABLE", { code: error.code });
+    if (error.notFound) return translate(this.language, "SETUP_ERROR_PROFILE_NOT_FOUND", { input: steamIdInput });
+    if (error.noFriendList) return translate(this.language, "SETUP_ERROR_NO_FRIEND_LIST");
+    return error.message;
+  },
+
+  // Convert SteamID64, profile URLs, SteamID2 and SteamID3 without an API call; null for vanity names
+  parseSteamId(input) {
+    const value = String(input).trim();
+    if (/^\d{17}$/.test(value)) return value;
+
+    const profileMatch = value.match(/steamcommunity\.com\/profiles\/(\d{17})/i);
+    if (profileMatch) return profileMatch[1];
+
+    // STEAM_X:Y:Z -> base + Z * 2 + Y
+    const steamId2 = value.match(/^STEAM_[0-5]:([01]):(\d+)$/i);
+    if (steamId2) {
+      return (STEAMID64_BASE + BigInt(steamId2[2]) * 2n + BigInt(steamId2[1])).toString();
+    }
+
+    // [U:1:W] -> base + W
+    const steamId3 = value.match(/^\[?U:1:(\d+)\]?$/i);
+    if (steamId3) {
+      return (STEAMID64_BASE + BigInt(steamId3[1])).toString();
+    }
+
+    return null;
+  },
+
+  extractVanityName(input) {
+    const value = String(input).trim();
+    const vanityMatch = value.match(/steamcommunity\.com\/id\/([^/?#]+)/i);
+    return (vanityMatch ? vanityMatch[1] : value).toLowerCase();
+  },
+
+  // Accepts any format handled by parseSteamId or a vanity name / steamcommunity.com/id/ URL
+  async resolveSteamId(input, apiKey) {
+    const parsed = this.parseSteamId(input);
+    if (parsed) return parsed;
+
+    const vanity = this.extractVanityName(input);
+    if (!vanity) {
+      throw new Error("Empty SteamID");
+    }
+
+    const cached = this.steamIdCache.get(vanity);
+    if (cached && !this.steamIdCache.isStale(cached)) {
+      return cached.steamId;
+    }
+
+    try {
+      const steamId = await this.fetchVanitySteamId(vanity, apiKey);
+      this.steamIdCache.set(vanity, steamId);
+      return steamId;
+    } catch (error) {
+      // Keep using a stale mapping while Steam is unreachable
+      if (cached && !error.notFound) return cached.steamId;
+      throw error;
+    }
+  },
+
+  // Resolve a list of IDs, skipping (and logging once) entries that cannot be resolved
+  async resolveSteamIds(inputs, apiKey) {
+    const resolved = new Set();
+
+    for (const input of inputs) {
+      if (this.unresolvableIds.has(input)) continue;
+      try {
+        resolved.add(await this.resolveSteamId(input, apiKey));
+      } catch (error) {
+        if (error.notFound) {
+          this.unresolvableIds.add(input);
+        }
+        console.warn(`[MMM-SteamFriends] Could not resolve SteamID "${input}":`, error.message);
+      }
+    }
+
+    await this.steamIdCache.maybePersist();
+    return resolved;
+  },
+
+  // Load the friends list of every owner account and map each friend to the owners they are friends with.
+  // With several owners a failing account (e.g. private friends list) is skipped as long as one succeeds.
+  async fetchFriendOwners(owners, apiKey) {
+    const friendOwners = new Map();
+    const friendLists = [];
+    let firstError = null;
+
+    for (const owner of owners) {
+      try {
+        const steamId = await this.resolveSteamId(owner.input, apiKey);
+        const ids = await this.fetchFriendList(steamId, apiKey);
+        friendLists.push({ owner, steamId, ids });
+      } catch (error) {
+        if (owners.length === 1) throw error;
+        console.warn(`[MMM-SteamFriends] Could not load friends of ${owner.label || owner.input}:`, error.message);
+        firstError = firstError || error;
+      }
+    }
+
+    // Owner tags only show with several accounts
+    if (owners.length > 1) {
+      await this.loadOwnerNames(friendLists.filter(list => !list.owner.label).map(list => list.steamId), apiKey);
+    }
+
+    friendLists.forEach(({ owner, steamId, ids }) => {
+      const label = owner.label || this.ownerNames.get(steamId) || owner.input;
+      ids.forEach(id => {
+        if (!friendOwners.has(id)) friendOwners.set(id, []);
+        friendOwners.get(id).push(label);
+      });
+    });
+
+    if (friendOwners.size === 0 && firstError) {
+      throw firstError;
+    }
+    return friendOwners;
+  },
+
+  // Instances that share friends detect the same transitions; other modules hear each one
+  // once, from whichever instance reports the friend's new state first
+  claimBroadcasts(transitions) {
+    if (this.config.broadcastNotifications === false) return [];
+
+    return transitions.filter(({ event, friend }) => {
+      const signature = [friend.state, friend.inGame, friend.gameId || friend.game].join("|");
+      let claimed = this.broadcastStates.get(friend.id);
+      if (!claimed || claimed.signature !== signature) {
+        claimed = { signature, events: new Set() };
+        this.broadcastStates.set(friend.id, claimed);
+      }
+      if (claimed.events.has(event)) return false;
+      claimed.events.add(event);
+      return true;
+    });
+  },
+
+  // Owners without a configured label are tagged with their persona name, looked up once
+  async loadOwnerNames(steamIds, apiKey) {
+    const missing = steamIds.filter(steamId => !this.ownerNames.has(steamId));
+    if (missing.length === 0) return;
+
+    try {
+      const players = await this.fetchPlayerSummaries(missing, apiKey);
+      const names = new Map(players.map(player => [player.steamid, player.personaname]));
+      missing.forEach(steamId => this.ownerNames.set(steamId, names.get(steamId) || null));
+    } catch (error) {
+      console.warn("[MMM-SteamFriends] Could not load owner names:", error.message);
+    }
+  },
+
+  // Data another instance fetched within half a poll interval is reused instead of asking Steam again
+  isSharedFresh(entry) {
+    return !!entry && entry.fetchedBy !== this.identifier &&
+      Date.now() - entry.fetchedAt < this.config.updateInterval / 2;
+  },
+
+  // Run Steam requests one instance at a time so instances on the same account can share results
+  enqueueFetch(task) {
+    const helper = this.helper;
+    const run = helper.fetchQueue.then(task);
+    helper.fetchQueue = run.catch(() => {});
+    return run;
+  },
+
+  async fetchFriendList(steamId, apiKey) {
+    const cacheKey = `${this.getEndpoint("api")}|${steamId}`;
+    const cached = this.helper.friendListCache.get(cacheKey);
+    if (this.isSharedFresh(cached)) {
+      return cached.ids;
+    }
+
+    const url = `${this.getEndpoint("api")}/ISteamUser/GetFriendList/v0001/?key=${apiKey}&steamid=${steamId}&relationship=friend`;
+    const res = await axios.get(url, {
+      timeout: API.REQUEST_TIMEOUT,
+      headers: { 'Accept-Encoding': 'gzip' }
+    });
+
+    const ids = res.data.friendslist.friends.map(f => f.steamid);
+    this.helper.friendListCache.set(cacheKey, { ids, fetchedAt: Date.now(), fetchedBy: this.identifier });
+    return ids;
+  },
+
+  // Raw player summaries for friendIds, fetching only those no other instance fetched recently
+  async fetchPlayerSummaries(friendIds, apiKey) {
+    const endpoint = this.getEndpoint("api");
+    const summaryCache = this.helper.summaryCache;
+    const players = new Map();
+    const missing = [];
+
+    friendIds.forEach(id => {
+      const cached = summaryCache.get(`${endpoint}|${id}`);
+      if (this.isSharedFresh(cached)) {
+        players.set(id, cached.player);
+      } else {
+        missing.push(id);
+      }
+    });
+
+    for (const batch of this.chunkArray(missing, API.FRIENDS_PER_REQUEST)) {
+      const summariesUrl = `${endpoint}/ISteamUser/GetPlayerSummaries/v0002/?key=${apiKey}&steamids=${batch.join(',')}`;
+      const res = await axios.get(summariesUrl, {
+        timeout: API.REQUEST_TIMEOUT,
+        headers: { 'Accept-Encoding': 'gzip' }
+      });
+
+      const fetchedAt = Date.now();
+      res.data.response.players.forEach(p => {
+        players.set(p.steamid, p);
+        summaryCache.set(`${endpoint}|${p.steamid}`, { player: p, fetchedAt, fetchedBy: this.identifier });
+      });
+    }
+
+    return friendIds.filter(id => players.has(id)).map(id => players.get(id));
+  },
+
+  // Resolve group member lists and send them to the frontend when they change
+  async updateGroups(apiKey) {
+    const groupMembers = [];
+    for (const group of this.config.groups) {
+      const members = await this.resolveSteamIds(group.members || [], apiKey);
+      groupMembers.push(Array.from(members));
+    }
+    this.groupMembers = groupMembers;
+
+    const groupsHash = this.hashData(groupMembers);
+    if (groupsHash !== this.lastGroupsHash) {
+      this.lastGroupsHash = groupsHash;
+      this.sendSocketNotification("FRIEND_GROUPS", groupMembers);
+    }
+  },
+
+  // Send the owner's status card. The summary is refreshed every poll, level and
+  // recently played games every PROFILE_DETAILS_TTL. Failures never block the friends list.
+  async updateProfile(owner, apiKey) {
     try {
-      if (fs.existsSync(this.cachePath)) {
-        const data = await fs.promises.readFile(this.cachePath, "utf8");
-        const parsed = JSON.parse(data);
-        for (const [key, value] of Object.entries(parsed)) {
-          this.cache.set(key, value);
-        }
-        console.log(`[MMM-SteamFriends] Loaded ${this.cache.size} cached playtimes`);
+      const steamId = await this.resolveSteamId(owner.input, apiKey);
+      const [player] = await this.enqueueFetch(() => this.fetchPlayerSummaries([steamId], apiKey));
+      if (!player) {
+        throw new Error(`No profile found for ${owner.label || owner.input}`);
       }
-    } catch (error) {
-      console.warn("[MMM-SteamFriends] Could not load playtime cache:", error.message);
-      this.cache = new Map();
-    }
-  }
 
-  async save() {
-    if (!this.dirty) return;
+      const details = this.profileDetails;
+      if (!details || details.steamId !== steamId || Date.now() - details.fetchedAt >= API.PROFILE_DETAILS_TTL) {
+        this.profileDetails = await this.fetchProfileDetails(steamId, apiKey);
+      }
 
-    const tempPath = this.cachePath + ".tmp";
-    try {
-      const data = Object.fromEntries(this.cache);
-      await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2), "utf8");
-      await fs.promises.rename(tempPath, this.cachePath);
-      this.dirty = false;
-      this.lastPersist = Date.now();
+      let profile = {
+        ...this.normalizePlayer(player),
+        level: this.profileDetails.level,
+        recentGames: this.profileDetails.recentGames.slice(0, this.config.profileCard.recentGames || 3)
+      };
+      if (this.gameNamesCache) {
+        [profile] = await this.localizeGameNames([profile]);
+      }
+      profile = this.toDisplayFriend(profile);
+
+      const profileHash = this.hashData(profile);
+      if (profileHash !== this.lastProfileHash) {
+        this.lastProfileHash = profileHash;
+        this.sendSocketNotification("PROFILE_UPDATE", profile);
+      }
     } catch (error) {
-      console.error("[MMM-SteamFriends] Could not save playtime cache:", error.message);
-      try {
-        if (fs.existsSync(tempPath)) {
-          await fs.promises.unlink(tempPath);
-        }
-      } catch (e) {}
+      console.warn("[MMM-SteamFriends] Could not load profile:", error.message);
     }
-  }
+  },
 
-  async maybePersist() {
-    if (this.dirty && Date.now() - this.lastPersist >= this.persistIntervalMs) {
-      await this.save();
+  async fetchProfileDetails(steamId, apiKey) {
+    const levelUrl = `${this.getEndpoint("api")}/IPlayerService/GetSteamLevel/v1/?key=${apiKey}&steamid=${steamId}`;
+    const [levelRes, recent] = await Promise.all([
+      axios.get(levelUrl, {
+        timeout: API.REQUEST_TIMEOUT,
+        headers: { 'Accept-Encoding': 'gzip' }
+      }),
+      this.fetchRecentGames(steamId, apiKey)
+    ]);
+
+    // Private profiles answer with an empty response
+    const level = levelRes.data.response.player_level;
+    return {
+      steamId,
+      level: typeof level === "number" ? level : null,
+      recentGames: recent.games,
+      fetchedAt: Date.now()
+    };
+  },
+
+  // Add this poll to the activity log and send the stats panel data when it changes
+  updateActivityStats(friends) {
+    const stats = this.config.stats || {};
+    this.activityLog.record(friends, Date.now(), 2 * this.config.updateInterval);
+
+    const activityStats = this.activityLog.computeStats(Date.now(), {
+      topGames: stats.topGames || 5,
+      topFriends: stats.topFriends || 5
+    });
+    const statsHash = this.hashData(activityStats);
+    if (statsHash !== this.lastStatsHash) {
+      this.lastStatsHash = statsHash;
+      this.sendSocketNotification("ACTIVITY_STATS", activityStats);
     }
-  }
+  },
 
-  get(steamId) {
-    const entry = this.cache.get(steamId);
-    if (!entry) return null;
-    return entry;
-  }
+  isApiEnabled() {
+    return !!(this.config && this.config.api && this.config.api.enabled);
+  },
 
-  set(steamId, playtimeData) {
-    this.cache.set(steamId, {
-      ...playtimeData,
-      cachedAt: Date.now()
+  // Read-only JSON API and Server-Sent Events stream for other dashboards on the network
+  registerApiRoutes() {
+    if (!this.expressApp) return;
+
+    const base = `/${this.name}/api`;
+
+    this.expressApp.get(`${base}/friends`, (req, res) => {
+      const instance = this.getApiInstance();
+      if (!instance) {
+        res.status(404).json({ error: "API disabled" });
+        return;
+      }
+      res.json(instance.getApiSnapshot());
     });
-    this.dirty = true;
-  }
 
-  isStale(entry) {
-    if (!entry || !entry.cachedAt) return true;
-    return Date.now() - entry.cachedAt > this.ttlMs;
-  }
-}
+    this.expressApp.get(`${base}/events`, (req, res) => {
+      const instance = this.getApiInstance();
+      if (!instance) {
+        res.status(404).json({ error: "API disabled" });
+        return;
+      }
 
-module.exports = NodeHelper.create({
-  start() {
-    this.config = null;
-    this.pollInterval = null;
-    this.lastFriendsHash = null;
-    this.errorCount = 0;
-    this.maxErrors = API.MAX_CONSECUTIVE_ERRORS;
-    this.fetchInProgress = false;
-    this.scoresCache = null;
-    this.scoreRateLimitBackoff = 0;
-    this.playtimeCache = null;
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive"
+      });
+      this.writeEvent(res, "snapshot", instance.getApiSnapshot());
+
+      this.eventClients.add(res);
+      if (!this.eventKeepAlive) {
+        this.eventKeepAlive = setInterval(() => {
+          this.eventClients.forEach(client => client.write(": keep-alive\n\n"));
+        }, API.EVENT_KEEPALIVE_INTERVAL);
+      }
+
+      req.on("close", () => {
+        this.eventClients.delete(res);
+        if (this.eventClients.size === 0) {
+          clearInterval(this.eventKeepAlive);
+          this.eventKeepAlive = null;
+        }
+      });
+    });
   },
 
-  async stop() {
-    if (this.pollInterval) {
-      clearInterval(this.pollInterval);
-      this.pollInterval = null;
-      console.log("[MMM-SteamFriends] Polling stopped");
-    }
-    if (this.scoresCache) {
-      await this.scoresCache.save();
-    }
-    if (this.playtimeCache) {
-      await this.playtimeCache.save();
-    }
+  // With several instances, the first one that enables the API serves it
+  getApiInstance() {
+    return Array.from(this.helper.instances.values()).find(instance => instance.isApiEnabled()) || null;
   },
 
-  async socketNotificationReceived(notification, config) {
-    if (notification === "INIT") {
-      if (this.pollInterval) {
-        clearInterval(this.pollInterval);
-        this.pollInterval = null;
+  getApiSnapshot() {
+    const friends = this.apiFriends || [];
+    return {
+      updatedAt: this.apiUpdatedAt,
+      counts: this.countStatuses(friends),
+      friends,
+      lastError: this.lastError,
+      errorCount: this.errorCount
+    };
+  },
+
+  // Same buckets as the header counts on the mirror
+  countStatuses(friends) {
+    const counts = { ingame: 0, online: 0, offline: 0 };
+    friends.forEach(f => {
+      if (f.inGame) {
+        counts.ingame++;
+      } else if (f.state === "offline") {
+        counts.offline++;
+      } else {
+        counts.online++;
       }
+    });
+    return counts;
+  },
 
-      this.config = config;
+  // Store the latest poll for the API and stream transitions plus changed snapshots
+  publishSnapshot(friends, transitions) {
+    this.apiFriends = friends;
+    this.apiUpdatedAt = Date.now();
+    if (this.getApiInstance() !== this) return;
 
-      if (config.setup && (!config.steamApiKey || !config.steamId)) {
-        return;
-      }
+    transitions.forEach(({ event, friend, previous }) => {
+      this.broadcastEvent("transition", { event, friend, previous });
+    });
 
-      if (config.gameScore && config.gameScore.enabled) {
-        const cachePath = path.join(__dirname, ".game-scores-cache.json");
-        const ttlDays = config.gameScore.refreshDays || 7;
-        this.scoresCache = new ScoresCache(cachePath, ttlDays);
-        await this.scoresCache.load();
-      }
+    const apiHash = this.hashData(friends);
+    if (apiHash !== this.lastApiHash) {
+      this.lastApiHash = apiHash;
+      this.broadcastEvent("snapshot", this.getApiSnapshot());
+    }
+  },
+
+  broadcastEvent(event, data) {
+    this.eventClients.forEach(res => this.writeEvent(res, event, data));
+  },
 
-      if (config.sortFriends === "totalPlaytime") {
-        const cachePath = path.join(__dirname, ".playtime-cache.json");
-        this.playtimeCache = new PlaytimeCache(cachePath, 24);
-        await this.playtimeCache.load();
+  writeEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  },
+
+  // Compare with the previous poll. The first poll only records the snapshot.
+  detectTransitions(friends) {
+    const snapshot = snapshotFriends(friends);
+    const previous = this.lastSnapshot;
+    this.lastSnapshot = snapshot;
+    return previous ? diffSnapshots(previous, snapshot) : [];
+  },
+
+  async sendWebhooks(transitions, apiKey) {
+    const favorites = [];
+    for (const [index, hook] of this.webhookDispatcher.hooks.entries()) {
+      if (Array.isArray(hook.favorites) && hook.favorites.length > 0) {
+        favorites[index] = await this.resolveSteamIds(hook.favorites, apiKey);
       }
+    }
 
-      await this.fetchFriends();
+    return this.webhookDispatcher.dispatch(transitions, favorites);
+  },
 
-      this.pollInterval = setInterval(
-        () => this.fetchFriends(),
-        config.updateInterval
-      );
+  async fetchVanitySteamId(vanity, apiKey) {
+    const url = `${this.getEndpoint("api")}/ISteamUser/ResolveVanityURL/v0001/?key=${apiKey}&vanityurl=${encodeURIComponent(vanity)}`;
+    const res = await axios.get(url, {
+      timeout: API.REQUEST_TIMEOUT,
+      headers: { 'Accept-Encoding': 'gzip' }
+    });
+
+    const response = res.data && res.data.response;
+    if (!response || response.success !== 1 || !response.steamid) {
+      const error = new Error(`Could not find a Steam profile for "${vanity}".`);
+      error.notFound = true;
+      throw error;
     }
+    return response.steamid;
+  },
 
-    if (notification === "SUSPEND") {
-      if (this.pollInterval) {
-        clearInterval(this.pollInterval);
-        this.pollInterval = null;
-        console.log("[MMM-SteamFriends] Polling suspended");
+  async validateCredentials(apiKey, steamId) {
+    const url = `${this.getEndpoint("api")}/ISteamUser/GetFriendList/v0001/?key=${apiKey}&steamid=${steamId}&relationship=friend`;
+    const res = await axios.get(url, {
+      timeout: API.REQUEST_TIMEOUT,
+      headers: { 'Accept-Encoding': 'gzip' }
+    });
+
+    if (!res.data || !res.data.friendslist) {
+      const error = new Error("Steam did not return a friends list for this profile.");
+      error.noFriendList = true;
+      throw error;
+    }
+  },
+
+  getSetupWizardUrl() {
+    const wizard = this.config.setupWizard || {};
+    if (wizard.publicUrl) return wizard.publicUrl;
+
+    const port = (global.config && global.config.port) || 8080;
+    return `http://${this.getLanAddress()}:${port}/${this.name}/setup`;
+  },
+
+  getLanAddress() {
+    for (const addresses of Object.values(os.networkInterfaces())) {
+      for (const address of addresses || []) {
+        if ((address.family === "IPv4" || address.family === 4) && !address.internal) {
+          return address.address;
+        }
       }
     }
+    return "localhost";
+  },
 
-    if (notification === "RESUME") {
-      if (!this.pollInterval && this.config) {
-        await this.fetchFriends();
-        this.pollInterval = setInterval(
-          () => this.fetchFriends(),
-          this.config.updateInterval
-        );
-        console.log("[MMM-SteamFriends] Polling resumed");
+  // Render setup QR codes locally so the setup screen works offline
+  async sendSetupQrCodes() {
+    const targets = [...DEFAULT_SETUP_QR_TARGETS, ...(this.config.setupQrTargets || [])];
+    if (this.isSetupWizardOpen()) {
+      targets.unshift({ label: "Mirror Setup", key: "SETUP_QR_MIRROR", url: this.getSetupWizardUrl() });
+    }
+    const codes = [];
+
+    for (const target of targets) {
+      if (!target || !target.url) continue;
+      try {
+        const dataUrl = await QRCode.toDataURL(String(target.url), { width: 200, margin: 1 });
+        codes.push({
+          label: target.label || target.url,
+          key: target.key || null,
+          url: target.url,
+          dataUrl
+        });
+      } catch (error) {
+        console.warn(`[MMM-SteamFriends] Could not generate QR code for ${target.url}:`, error.message);
       }
     }
+
+    this.sendSocketNotification("SETUP_QR", codes);
   },
 
   async fetchFriends() {
@@ -274,78 +1553,131 @@ module.exports = NodeHelper.create({
         throw new Error("Steam API key not configured. Set STEAM_API_KEY environment variable.");
       }
 
-      const friendListUrl = `https://api.steampowered.com/ISteamUser/GetFriendList/v0001/?key=${key}&steamid=${this.config.steamId}&relationship=friend`;
-      const friendListRes = await axios.get(friendListUrl, {
-        timeout: API.REQUEST_TIMEOUT,
-        headers: { 'Accept-Encoding': 'gzip' }
-      });
-
-      let friendIds = friendListRes.data.friendslist.friends.map(f => f.steamid);
+      const owners = this.getOwnerEntries();
+      const friendOwners = await this.enqueueFetch(() => this.fetchFriendOwners(owners, key));
+      let friendIds = Array.from(friendOwners.keys());
+      let allowlist = null;
+      let blocklist = null;
 
       if (this.config.friendAllowlist && this.config.friendAllowlist.length > 0) {
-        friendIds = friendIds.filter(id => this.config.friendAllowlist.includes(id));
+        allowlist = await this.resolveSteamIds(this.config.friendAllowlist, key);
+        friendIds = friendIds.filter(id => allowlist.has(id));
+      }
+
+      if (this.config.friendBlocklist && this.config.friendBlocklist.length > 0) {
+        blocklist = await this.resolveSteamIds(this.config.friendBlocklist, key);
+        friendIds = friendIds.filter(id => !blocklist.has(id));
+      }
+
+      if (this.config.groups && this.config.groups.length > 0) {
+        await this.updateGroups(key);
+      }
+
+      // The marquee layout has no place for the card
+      if (this.config.profileCard && this.config.profileCard.enabled && this.config.layout !== "marquee") {
+        await this.updateProfile(owners[0], key);
       }
 
       if (friendIds.length === 0) {
         console.log("[MMM-SteamFriends] No friends found");
+        this.errorCount = 0;
+        this.lastError = null;
         this.sendSocketNotification("FRIENDS_UPDATE", []);
+        this.publishSnapshot([], []);
         return;
       }
 
-      const batches = this.chunkArray(friendIds, API.FRIENDS_PER_REQUEST);
-      const allFriends = [];
+      const players = await this.enqueueFetch(() => this.fetchPlayerSummaries(friendIds, key));
+      const allFriends = players.map(p => this.normalizePlayer(p));
 
-      for (const batch of batches) {
-        const summariesUrl = `https://api.steampowered.com/ISteamUser/GetPlayerSummaries/v0002/?key=${key}&steamids=${batch.join(',')}`;
-        const res = await axios.get(summariesUrl, {
-          timeout: API.REQUEST_TIMEOUT,
-          headers: { 'Accept-Encoding': 'gzip' }
+      if (owners.length > 1) {
+        allFriends.forEach(friend => {
+          friend.owners = friendOwners.get(friend.id) || [];
         });
+      }
+
+      if (this.config.showStatusText) {
+        this.trackStateSince(allFriends);
+      }
+
+      // Detected once on the unfiltered list; history, webhooks, the API and the frontend share it
+      const transitions = this.detectTransitions(allFriends);
 
-        const friends = res.data.response.players.map(p => ({
-          id: p.steamid,
-          name: p.personaname,
-          avatar: p.avatarfull,
-          status: this.mapPersonaState(p.personastate),
-          inGame: !!p.gameid,
-          game: p.gameextrainfo || "",
-          gameId: p.gameid || null,
-          country: (p.loccountrycode || "xx").toLowerCase(),
-          lastLogOff: p.lastlogoff
-        }));
+      if (this.historyStore && this.config.history && this.config.history.enabled) {
+        this.historyStore.record(allFriends, transitions);
+        allFriends.forEach(friend => this.historyStore.annotate(friend));
+        await this.historyStore.maybePersist();
+      }
+
+      if (this.webhookDispatcher && transitions.length > 0) {
+        this.sendWebhooks(transitions, key).catch(error => {
+          console.warn("[MMM-SteamFriends] Webhooks failed:", error.message);
+        });
+      }
 
-        allFriends.push(...friends);
+      if (this.config.stats && this.config.stats.enabled) {
+        this.activityLog = await this.getActivityLog(allowlist, blocklist);
+        this.updateActivityStats(allFriends);
+        await this.activityLog.maybePersist();
       }
 
+      const visibleFriends = this.applyFilters(allFriends);
+
       if (this.config.sortFriends === "totalPlaytime" && this.playtimeCache) {
-        await this.enrichWithPlaytime(allFriends, key);
+        await this.enrichWithPlaytime(visibleFriends, key);
       }
 
-      allFriends.sort((a, b) => {
+      visibleFriends.sort((a, b) => {
         const aInGame = a.inGame ? 1 : 0;
         const bInGame = b.inGame ? 1 : 0;
         if (aInGame !== bInGame) return bInGame - aInGame;
 
-        const statusOrder = { "Online": 0, "Busy": 1, "Away": 2, "Snooze": 3, "Looking to trade": 4, "Looking to play": 5, "Offline": 6 };
-        const aOrder = statusOrder[a.status] !== undefined ? statusOrder[a.status] : 99;
-        const bOrder = statusOrder[b.status] !== undefined ? statusOrder[b.status] : 99;
+        const stateOrder = { online: 0, busy: 1, away: 2, snooze: 3, trade: 4, play: 5, offline: 6 };
+        const aOrder = stateOrder[a.state] !== undefined ? stateOrder[a.state] : 99;
+        const bOrder = stateOrder[b.state] !== undefined ? stateOrder[b.state] : 99;
         if (aOrder !== bOrder) return aOrder - bOrder;
 
         return this.sortByConfig(a, b);
       });
 
+      if (this.config.recentGames && this.config.recentGames.enabled && this.recentGamesCache) {
+        await this.enrichWithRecentGames(this.getDisplayedFriends(visibleFriends), key);
+      }
+
       // Enrich with game scores if enabled (non-blocking)
       if (this.config.gameScore && this.config.gameScore.enabled && this.scoresCache) {
-        await this.enrichWithScores(allFriends);
+        await this.enrichWithScores(visibleFriends);
       }
 
-      const currentHash = this.hashData(allFriends);
+      // Only the frontend gets store names; API, MQTT and webhooks keep Steam's own
+      const localizedFriends = this.gameNamesCache
+        ? await this.localizeGameNames(visibleFriends)
+        : visibleFriends;
+      const displayFriends = localizedFriends.map(friend => this.toDisplayFriend(friend));
+
+      const currentHash = this.hashData(displayFriends);
       if (currentHash !== this.lastFriendsHash) {
         this.lastFriendsHash = currentHash;
-        this.sendSocketNotification("FRIENDS_UPDATE", allFriends);
+        this.sendSocketNotification("FRIENDS_UPDATE", displayFriends);
+      }
+      const broadcasts = this.claimBroadcasts(transitions);
+      if (broadcasts.length > 0) {
+        this.sendSocketNotification("FRIEND_TRANSITIONS", broadcasts);
+      }
+
+      this.publishSnapshot(allFriends, transitions);
+
+      if (this.mqttPublisher) {
+        const mqttFriends = (this.config.mqtt || {}).applyFilters === false ? allFriends : visibleFriends;
+        const mqttHash = this.hashData(mqttFriends);
+        if (mqttHash !== this.lastMqttHash) {
+          this.lastMqttHash = mqttHash;
+          this.mqttPublisher.publish(mqttFriends);
+        }
       }
 
       this.errorCount = 0;
+      this.lastError = null;
 
     } catch (error) {
       this.errorCount++;
@@ -366,11 +1698,54 @@ module.exports = NodeHelper.create({
         message: error.message,
         count: this.errorCount
       });
+
+      this.lastError = { message: error.message, count: this.errorCount, at: Date.now() };
+      if (this.getApiInstance() === this) {
+        this.broadcastEvent("fetch_error", this.lastError);
+      }
     } finally {
       this.fetchInProgress = false;
     }
   },
 
+  // Resolve base URL for an endpoint family, falling back to the public Steam hosts
+  getEndpoint(family) {
+    const endpoints = (this.config && this.config.endpoints) || {};
+    const base = endpoints[family] || DEFAULT_ENDPOINTS[family];
+    return String(base).replace(/\/+$/, "");
+  },
+
+  // Apply config.filters rules; runs before sorting so maxFriends only counts visible friends
+  applyFilters(friends) {
+    const filters = this.config.filters || {};
+    const maxOfflineDays = filters.maxOfflineDays || 0;
+    const hideStatuses = filters.hideStatuses || [];
+    const onlyGames = (filters.onlyGames || []).map(game => String(game).toLowerCase());
+    const countries = (filters.countries || []).map(code => String(code).toLowerCase());
+    const excludeCountries = (filters.excludeCountries || []).map(code => String(code).toLowerCase());
+    const nowSeconds = Date.now() / 1000;
+
+    return friends.filter(friend => {
+      if (hideStatuses.includes(friend.status)) return false;
+
+      if (maxOfflineDays > 0 && friend.state === "offline" && friend.lastLogOff) {
+        const offlineDays = (nowSeconds - friend.lastLogOff) / 86400;
+        if (offlineDays > maxOfflineDays) return false;
+      }
+
+      if (onlyGames.length > 0) {
+        const gameId = friend.gameId ? String(friend.gameId) : null;
+        const gameName = (friend.game || "").toLowerCase();
+        if (!onlyGames.includes(gameId) && !onlyGames.includes(gameName)) return false;
+      }
+
+      if (countries.length > 0 && !countries.includes(friend.country)) return false;
+      if (excludeCountries.includes(friend.country)) return false;
+
+      return true;
+    });
+  },
+
   chunkArray(array, size) {
     const chunks = [];
     for (let i = 0; i < array.length; i += size) {
@@ -379,12 +1754,55 @@ module.exports = NodeHelper.create({
     return chunks;
   },
 
+  // Remember when each friend's persona state last changed, for "Away · 12m" in the status text.
+  // A friend's state on the first poll that sees them has no known start, so it gets none.
+  trackStateSince(friends, now = Date.now()) {
+    const current = new Map();
+    friends.forEach(friend => {
+      const previous = this.stateSince.get(friend.id);
+      let since = null;
+      if (previous) {
+        since = previous.state === friend.state ? previous.since : now;
+      }
+      current.set(friend.id, { state: friend.state, since });
+      if (since !== null) {
+        friend.stateSince = since;
+      }
+    });
+    this.stateSince = current;
+  },
+
   hashData(data) {
     return crypto.createHash('md5')
       .update(JSON.stringify(data))
       .digest('hex');
   },
 
+  // Turn a GetPlayerSummaries player into the shape the frontend renders
+  normalizePlayer(p) {
+    return {
+      id: p.steamid,
+      name: p.personaname,
+      avatar: p.avatarfull,
+      status: this.mapPersonaState(p.personastate),
+      state: PERSONA_STATES[p.personastate] || "offline",
+      inGame: !!p.gameid,
+      game: p.gameextrainfo || "",
+      gameId: p.gameid || null,
+      gameServer: p.gameserverip && p.gameserverip !== "0.0.0.0:0" ? p.gameserverip : null,
+      lobbyId: p.lobbysteamid || null,
+      country: (p.loccountrycode || "xx").toLowerCase(),
+      lastLogOff: p.lastlogoff,
+      platform: this.detectPlatform(p)
+    };
+  },
+
+  // The frontend works from state codes and translates them; the English status label
+  // is only for the API, MQTT and webhooks
+  toDisplayFriend({ status, ...friend }) {
+    return friend;
+  },
+
   mapPersonaState(state) {
     const states = {
       0: "Offline",
@@ -398,6 +1816,18 @@ module.exports = NodeHelper.create({
     return states[state] || "Offline";
   },
 
+  // Derive client platform from personastateflags; offline friends have none
+  detectPlatform(player) {
+    if ((PERSONA_STATES[player.personastate] || "offline") === "offline") return null;
+
+    const flags = player.personastateflags || 0;
+    if (flags & PERSONA_FLAGS.CLIENT_TYPE_MOBILE) return "mobile";
+    if (flags & PERSONA_FLAGS.CLIENT_TYPE_WEB) return "web";
+    // Steam Deck (and Big Picture mode) report the "tenfoot" client
+    if (flags & PERSONA_FLAGS.CLIENT_TYPE_TENFOOT) return "deck";
+    return "pc";
+  },
+
   sortByConfig(a, b) {
     const sortMethod = this.config.sortFriends || "alphabetic";
 
@@ -420,8 +1850,21 @@ module.exports = NodeHelper.create({
     }
   },
 
+  // Steam API language for the mirror's language, English when Steam has none
+  getSteamLanguage() {
+    const language = String(this.language || "en").toLowerCase();
+    return STEAM_LANGUAGES[language] || STEAM_LANGUAGES[language.split("-")[0]] || "english";
+  },
+
+  // "all" counts every review; gameScore.reviewLanguage "mirror" only those in the mirror's language
+  getReviewLanguage() {
+    return this.config.gameScore && this.config.gameScore.reviewLanguage === "mirror"
+      ? this.getSteamLanguage()
+      : "all";
+  },
+
   // Fetch game review score from Steam API
-  async fetchGameScore(gameId) {
+  async fetchGameScore(gameId, language = this.getReviewLanguage()) {
     if (!isValidGameId(gameId)) {
       return null;
     }
@@ -432,7 +1875,7 @@ module.exports = NodeHelper.create({
     }
 
     try {
-      const url = `https://store.steampowered.com/appreviews/${gameId}?json=1&language=all&purchase_type=all&num_per_page=0`;
+      const url = `${this.getEndpoint("store")}/appreviews/${gameId}?json=1&language=${language}&purchase_type=all&num_per_page=0`;
       const response = await axios.get(url, {
         timeout: API.SCORE_REQUEST_TIMEOUT,
         headers: { 'Accept-Encoding': 'gzip' }
@@ -469,6 +1912,7 @@ module.exports = NodeHelper.create({
       return {
         score,
         totalReviews: total_reviews,
+        language,
         lastUpdated: Date.now()
       };
 
@@ -476,7 +1920,7 @@ module.exports = NodeHelper.create({
       // Handle rate limiting (429)
       if (error.response && error.response.status === 429) {
         console.warn("[MMM-SteamFriends] Steam review API rate limited, backing off");
-        this.scoreRateLimitBackoff = Date.now() + 60000; // 1 minute backoff
+        this.helper.scoreRateLimitBackoff = Date.now() + 60000; // 1 minute backoff
         return null;
       }
 
@@ -492,6 +1936,9 @@ module.exports = NodeHelper.create({
 
   // Enrich friends with game scores using batched concurrent requests
   async enrichWithScores(friends) {
+    const language = this.getReviewLanguage();
+    // The cache is shared, so each instance checks staleness against its own refreshDays
+    const refreshMs = (this.config.gameScore.refreshDays || 7) * 24 * 60 * 60 * 1000;
     // Collect unique gameIds that need fetching
     const gameIdsToFetch = new Map(); // gameId -> array of friend indices
 
@@ -508,8 +1955,9 @@ module.exports = NodeHelper.create({
           friend.gameScore = cached.score;
         }
 
-        // If not stale, skip fetching
-        if (!this.scoresCache.isStale(cached)) {
+        // If not stale, skip fetching; scores from before a reviewLanguage change are refreshed
+        const sameLanguage = this.scoresCache.isInvalid(cached) || (cached.language || "all") === language;
+        if (!this.scoresCache.isStale(cached, refreshMs) && sameLanguage) {
           return;
         }
       }
@@ -534,7 +1982,7 @@ module.exports = NodeHelper.create({
     for (const batch of batches) {
       const results = await Promise.all(
         batch.map(async (gameId) => {
-          const result = await this.fetchGameScore(gameId);
+          const result = await this.fetchGameScore(gameId, language);
           return { gameId, result };
         })
       );
@@ -558,9 +2006,64 @@ module.exports = NodeHelper.create({
     await this.scoresCache.maybePersist();
   },
 
+  // App name from the store in the given Steam language; null on errors so it is retried
+  async fetchGameName(gameId, steamLanguage) {
+    try {
+      const url = `${this.getEndpoint("store")}/api/appdetails?appids=${gameId}&l=${steamLanguage}&filters=basic`;
+      const response = await axios.get(url, {
+        timeout: API.SCORE_REQUEST_TIMEOUT,
+        headers: { 'Accept-Encoding': 'gzip' }
+      });
+
+      const app = response.data && response.data[gameId];
+      return { name: app && app.success && app.data && app.data.name ? app.data.name : null };
+    } catch (error) {
+      return null;
+    }
+  },
+
+  // Copies of friends with current and recently played game titles in the mirror's language.
+  // Player summaries only carry English titles; games the store doesn't know keep them.
+  async localizeGameNames(friends) {
+    const language = this.getSteamLanguage();
+    if (!this.gameNamesCache || language === "english") return friends;
+
+    const gameIds = new Set();
+    friends.forEach(friend => {
+      if (friend.inGame && isValidGameId(friend.gameId)) gameIds.add(String(friend.gameId));
+      (friend.recentGames || []).forEach(game => gameIds.add(String(game.gameId)));
+    });
+
+    const missing = Array.from(gameIds).filter(gameId =>
+      this.gameNamesCache.isStale(this.gameNamesCache.get(language, gameId))
+    );
+    const batches = this.chunkArray(missing, API.GAME_NAME_CONCURRENT_REQUESTS);
+
+    for (const batch of batches) {
+      const results = await Promise.all(batch.map(gameId => this.fetchGameName(gameId, language)));
+      results.forEach((result, index) => {
+        if (result) this.gameNamesCache.set(language, batch[index], result);
+      });
+    }
+
+    await this.gameNamesCache.maybePersist();
+
+    const localize = (gameId, name) => {
+      const entry = this.gameNamesCache.get(language, gameId);
+      return entry && entry.name ? entry.name : name;
+    };
+    return friends.map(friend => ({
+      ...friend,
+      game: friend.inGame && friend.gameId ? localize(friend.gameId, friend.game) : friend.game,
+      ...(friend.recentGames && {
+        recentGames: friend.recentGames.map(game => ({ ...game, name: localize(game.gameId, game.name) }))
+      })
+    }));
+  },
+
   async fetchPlaytime(steamId, apiKey) {
     try {
-      const url = `https://api.steampowered.com/IPlayerService/GetOwnedGames/v0001/?key=${apiKey}&steamid=${steamId}&include_played_free_games=1&format=json`;
+      const url = `${this.getEndpoint("api")}/IPlayerService/GetOwnedGames/v0001/?key=${apiKey}&steamid=${steamId}&include_played_free_games=1&format=json`;
       const response = await axios.get(url, {
         timeout: API.PLAYTIME_REQUEST_TIMEOUT,
         headers: { 'Accept-Encoding': 'gzip' }
@@ -587,6 +2090,108 @@ module.exports = NodeHelper.create({
     }
   },
 
+  // Games played in the last two weeks, most played first; private profiles have none
+  async fetchRecentGames(steamId, apiKey) {
+    try {
+      const url = `${this.getEndpoint("api")}/IPlayerService/GetRecentlyPlayedGames/v0001/?key=${apiKey}&steamid=${steamId}&format=json`;
+      const response = await axios.get(url, {
+        timeout: API.PLAYTIME_REQUEST_TIMEOUT,
+        headers: { 'Accept-Encoding': 'gzip' }
+      });
+
+      if (!response.data || !response.data.response || !response.data.response.games) {
+        return { games: [], private: true };
+      }
+
+      const games = response.data.response.games
+        .map(game => ({
+          gameId: String(game.appid),
+          name: game.name,
+          minutesTwoWeeks: game.playtime_2weeks || 0
+        }))
+        .sort((a, b) => b.minutesTwoWeeks - a.minutesTwoWeeks);
+
+      return { games, private: false };
+    } catch (error) {
+      return { games: [], private: true };
+    }
+  },
+
+  // Friends the frontend can show, following its sections and row limits: everyone while
+  // paging, else the first maxFriends rows of each group. In-game friends may share a
+  // playing-together row, so they are not counted against the limit then.
+  getDisplayedFriends(friends) {
+    if (this.config.paging && this.config.paging.enabled) return friends;
+
+    const limit = this.config.maxFriends || Infinity;
+    const groups = this.config.groups || [];
+    let sections = [{ friends, limit }];
+    if (groups.length > 0 && this.config.layout !== "marquee") {
+      const grouped = new Set();
+      sections = groups.map((group, index) => {
+        const memberIds = this.groupMembers[index] || [];
+        const members = new Set(memberIds);
+        let groupFriends = friends.filter(f => members.has(f.id));
+        if (group.order === "members") {
+          groupFriends = [...groupFriends].sort((a, b) => memberIds.indexOf(a.id) - memberIds.indexOf(b.id));
+        }
+        groupFriends.forEach(f => grouped.add(f.id));
+        return { friends: groupFriends, limit: group.maxFriends || limit };
+      });
+      if (this.config.showUngrouped) {
+        sections.push({ friends: friends.filter(f => !grouped.has(f.id)), limit });
+      }
+    }
+
+    const combined = !!(this.config.playingTogether && this.config.playingTogether.enabled) &&
+      (this.config.layout || "table") === "table";
+    const shown = new Set();
+    sections.forEach(section => {
+      let rows = 0;
+      for (const friend of section.friends) {
+        if (rows >= section.limit) break;
+        shown.add(friend.id);
+        if (!(combined && friend.inGame)) rows++;
+      }
+    });
+    return friends.filter(friend => shown.has(friend.id));
+  },
+
+  // Attach recently played games to offline friends so their game cell isn't empty
+  async enrichWithRecentGames(friends, apiKey) {
+    if (!this.recentGamesCache) return;
+
+    const maxGames = this.config.recentGames.maxGames || 3;
+    const friendsToFetch = [];
+
+    friends.forEach(friend => {
+      if (friend.inGame || friend.state !== "offline") return;
+
+      const cached = this.recentGamesCache.get(friend.id);
+      if (cached) {
+        friend.recentGames = cached.games.slice(0, maxGames);
+        if (!this.recentGamesCache.isStale(cached)) {
+          return;
+        }
+      }
+
+      friendsToFetch.push(friend);
+    });
+
+    const batches = this.chunkArray(friendsToFetch, API.PLAYTIME_CONCURRENT_REQUESTS);
+
+    for (const batch of batches) {
+      const results = await Promise.all(batch.map(friend => this.fetchRecentGames(friend.id, apiKey)));
+
+      results.forEach((result, index) => {
+        this.recentGamesCache.set(batch[index].id, result);
+        batch[index].recentGames = result.games.slice(0, maxGames);
+      });
+    }
+
+    await this.recentGamesCache.maybePersist();
+  },
+
   async enrichWithPlaytime(friends, apiKey) {
     if (!this.playtimeCache) return;
 
@@ -629,3 +2234,14 @@ module.exports = NodeHelper.create({
     await this.playtimeCache.maybePersist();
   }
 });
+
+// Exposed for unit tests
+module.exports.API = API;
+module.exports.ScoresCache = ScoresCache;
+module.exports.PlaytimeCache = PlaytimeCache;
+module.exports.RecentGamesCache = RecentGamesCache;
+module.exports.GameNamesCache = GameNamesCache;
+module.exports.SteamIdCache = SteamIdCache;
+module.exports.HistoryStore = HistoryStore;
+module.exports.ActivityLog = ActivityLog;
+module.exports.CredentialsStore = CredentialsStore;
@@ -0,0 +1,165 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const axios = require("axios");
+const { createHelper, player, fakeSteamApi } = require("./helpers/load-helper");
+
+// Captures GET routes registered on MagicMirror's express app
+function fakeExpressApp() {
+  const routes = {};
+  return {
+    routes,
+    get(route, handler) {
+      routes[route] = handler;
+    },
+    post() {}
+  };
+}
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    chunks: [],
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    writeHead(code, headers) {
+      this.statusCode = code;
+      this.headers = headers;
+    },
+    write(chunk) {
+      this.chunks.push(chunk);
+    },
+    end() {
+      this.ended = true;
+    }
+  };
+}
+
+// Parse "event: x\ndata: {...}\n\n" chunks written to an SSE response
+function events(res) {
+  return res.chunks
+    .filter(chunk => chunk.startsWith("event:"))
+    .map(chunk => {
+      const [eventLine, dataLine] = chunk.trim().split("\n");
+      return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+    });
+}
+
+function apiHelper(players, config = { api: { enabled: true } }) {
+  mock.method(axios, "get", fakeSteamApi(players).get);
+  const expressApp = fakeExpressApp();
+  const helper = createHelper(config, { expressApp });
+  return { helper, routes: expressApp.routes };
+}
+
+describe("JSON API", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("serves all friends with header counts", async () => {
+    const { helper, routes } = apiHelper([
+      player("76561198000000001", { personaname: "Alpha", gameid: "730", gameextrainfo: "Counter-Strike 2" }),
+      player("76561198000000002", { personaname: "Bravo" }),
+      player("76561198000000003", { personaname: "Charlie", personastate: 0 })
+    ]);
+    helper.config.filters = { hideStatuses: ["Offline"] };
+    await helper.fetchFriends();
+
+    const res = fakeResponse();
+    routes["/MMM-SteamFriends/api/friends"]({}, res);
+
+    assert.deepEqual(res.body.counts, { ingame: 1, online: 1, offline: 1 });
+    assert.deepEqual(res.body.friends.map(f => f.name).sort(), ["Alpha", "Bravo", "Charlie"]);
+    assert.equal(typeof res.body.updatedAt, "number");
+    assert.equal(res.body.lastError, null);
+  });
+
+  it("reports the last fetch error until a poll succeeds", async () => {
+    const { helper, routes } = apiHelper([player("76561198000000001")]);
+    const failing = mock.method(axios, "get", async () => {
+      throw new Error("Request failed with status code 503");
+    });
+    await helper.fetchFriends();
+
+    const res = fakeResponse();
+    routes["/MMM-SteamFriends/api/friends"]({}, res);
+    assert.equal(res.body.lastError.message, "Request failed with status code 503");
+    assert.equal(res.body.errorCount, 1);
+
+    // Back to the fake Steam API
+    failing.mock.restore();
+    await helper.fetchFriends();
+    const recovered = fakeResponse();
+    routes["/MMM-SteamFriends/api/friends"]({}, recovered);
+    assert.equal(recovered.body.lastError, null);
+    assert.equal(recovered.body.errorCount, 0);
+  });
+
+  it("clears the last error after a poll that finds no friends", async () => {
+    const { helper, routes } = apiHelper([]);
+    const failing = mock.method(axios, "get", async () => {
+      throw new Error("Request failed with status code 503");
+    });
+    await helper.fetchFriends();
+    failing.mock.restore();
+    await helper.fetchFriends();
+
+    const res = fakeResponse();
+    routes["/MMM-SteamFriends/api/friends"]({}, res);
+    assert.deepEqual(res.body.friends, []);
+    assert.equal(res.body.lastError, null);
+    assert.equal(res.body.errorCount, 0);
+  });
+
+  it("is disabled unless api.enabled is set", () => {
+    const { routes } = apiHelper([], {});
+
+    const res = fakeResponse();
+    routes["/MMM-SteamFriends/api/friends"]({}, res);
+    assert.equal(res.statusCode, 404);
+  });
+});
+
+describe("Server-Sent Events", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("sends a snapshot on connect, then transitions and changed snapshots", async () => {
+    const players = [player("76561198000000001", { personaname: "Alpha" })];
+    const { helper, routes } = apiHelper(players);
+    mock.method(global, "setInterval", () => ({ fake: true }));
+    mock.method(global, "clearInterval", () => {});
+    await helper.fetchFriends();
+
+    const req = new EventEmitter();
+    const res = fakeResponse();
+    routes["/MMM-SteamFriends/api/events"](req, res);
+    assert.equal(res.headers["Content-Type"], "text/event-stream");
+    assert.deepEqual(events(res).map(e => e.event), ["snapshot"]);
+
+    await helper.fetchFriends();
+    assert.equal(events(res).length, 1, "unchanged polls are not streamed");
+
+    players[0].gameid = "730";
+    players[0].gameextrainfo = "Counter-Strike 2";
+    await helper.fetchFriends();
+    const streamed = events(res);
+    assert.deepEqual(streamed.map(e => e.event), ["snapshot", "transition", "snapshot"]);
+    assert.equal(streamed[1].data.event, "game_start");
+    assert.equal(streamed[1].data.friend.game, "Counter-Strike 2");
+    assert.equal(streamed[2].data.counts.ingame, 1);
+
+    req.emit("close");
+    assert.equal(helper.eventClients.size, 0);
+  });
+});
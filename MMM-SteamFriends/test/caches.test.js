@@ -0,0 +1,381 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const axios = require("axios");
+const { Helper, createHelper, player, fakeSteamApi } = require("./helpers/load-helper");
+
+const { ScoresCache, PlaytimeCache, RecentGamesCache } = Helper;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "steamfriends-test-"));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe("ScoresCache", () => {
+  it("persists entries and loads them back", async () => {
+    const cachePath = path.join(tmpDir, "scores.json");
+    const cache = new ScoresCache(cachePath, 7);
+    cache.set(730, { score: 87, totalReviews: 1000 });
+    await cache.save();
+
+    assert.equal(cache.dirty, false);
+    assert.equal(fs.existsSync(cachePath + ".tmp"), false);
+
+    const reloaded = new ScoresCache(cachePath, 7);
+    await reloaded.load();
+    assert.equal(reloaded.get("730").score, 87);
+  });
+
+  it("starts fresh when the cache file is corrupt", async () => {
+    const cachePath = path.join(tmpDir, "scores.json");
+    fs.writeFileSync(cachePath, "{not json");
+    mock.method(console, "warn", () => {});
+
+    const cache = new ScoresCache(cachePath, 7);
+    await cache.load();
+    assert.equal(cache.cache.size, 0);
+  });
+
+  it("ignores invalid game ids", () => {
+    const cache = new ScoresCache(path.join(tmpDir, "scores.json"));
+    cache.set("abc", { score: 1 });
+    cache.set("12345678901", { score: 1 });
+    assert.equal(cache.cache.size, 0);
+    assert.equal(cache.get("abc"), null);
+  });
+
+  it("returns stale entries and flags them as stale", () => {
+    const cache = new ScoresCache(path.join(tmpDir, "scores.json"), 7);
+    cache.cache.set("730", { score: 80, cachedAt: Date.now() - 8 * DAY_MS });
+
+    const entry = cache.get(730);
+    assert.equal(entry.score, 80);
+    assert.equal(cache.isStale(entry), true);
+
+    cache.set(730, { score: 81 });
+    assert.equal(cache.isStale(cache.get(730)), false);
+  });
+
+  it("only persists after the persist interval", async () => {
+    const cachePath = path.join(tmpDir, "scores.json");
+    const cache = new ScoresCache(cachePath);
+    cache.set(730, { score: 80 });
+
+    await cache.maybePersist();
+    assert.equal(fs.existsSync(cachePath), false);
+
+    cache.lastPersist = Date.now() - cache.persistIntervalMs;
+    await cache.maybePersist();
+    assert.equal(fs.existsSync(cachePath), true);
+  });
+});
+
+describe("file stores", () => {
+  it("clean up the temp file when a save fails", async () => {
+    mock.method(console, "error", () => {});
+    mock.method(fs.promises, "rename", async () => {
+      throw new Error("disk full");
+    });
+    const stores = [
+      new ScoresCache(path.join(tmpDir, "scores.json")),
+      new Helper.HistoryStore(path.join(tmpDir, "history.json")),
+      new Helper.ActivityLog(path.join(tmpDir, "activity.json"))
+    ];
+    stores[0].set(730, { score: 80 });
+    stores[1].record([{ id: "1", state: "online", inGame: false }], []);
+    stores[2].record([{ id: "1", name: "Alpha", state: "online", inGame: false }]);
+
+    for (const store of stores) {
+      await store.save();
+      assert.equal(store.dirty, true);
+      assert.equal(fs.existsSync(store.cachePath + ".tmp"), false);
+    }
+  });
+});
+
+describe("PlaytimeCache", () => {
+  it("persists entries and expires them after the ttl", async () => {
+    const cachePath = path.join(tmpDir, "playtime.json");
+    const cache = new PlaytimeCache(cachePath, 24);
+    cache.set("76561198000000001", { totalPlaytime: 600 });
+    await cache.save();
+
+    const reloaded = new PlaytimeCache(cachePath, 24);
+    await reloaded.load();
+    const entry = reloaded.get("76561198000000001");
+    assert.equal(entry.totalPlaytime, 600);
+    assert.equal(reloaded.isStale(entry), false);
+
+    entry.cachedAt = Date.now() - 25 * 60 * 60 * 1000;
+    assert.equal(reloaded.isStale(entry), true);
+  });
+});
+
+describe("RecentGamesCache", () => {
+  it("persists entries and expires them after the ttl", async () => {
+    const cachePath = path.join(tmpDir, "recent.json");
+    const cache = new RecentGamesCache(cachePath, 6);
+    cache.set("76561198000000001", { games: [{ gameId: "730", name: "Counter-Strike 2", minutesTwoWeeks: 120 }] });
+    await cache.save();
+
+    const reloaded = new RecentGamesCache(cachePath, 6);
+    await reloaded.load();
+    const entry = reloaded.get("76561198000000001");
+    assert.equal(entry.games[0].gameId, "730");
+    assert.equal(reloaded.isStale(entry), false);
+
+    entry.cachedAt = Date.now() - 7 * 60 * 60 * 1000;
+    assert.equal(reloaded.isStale(entry), true);
+  });
+});
+
+describe("fetchGameScore", () => {
+  it("computes the positive review percentage", async () => {
+    mock.method(axios, "get", fakeSteamApi([], {
+      reviews: { 730: { total_positive: 870, total_negative: 130, total_reviews: 1000 } }
+    }).get);
+
+    const helper = createHelper({ gameScore: { enabled: true, minReviews: 50 } });
+    const result = await helper.fetchGameScore("730");
+    assert.equal(result.score, 87);
+    assert.equal(result.totalReviews, 1000);
+  });
+
+  it("returns null below minReviews and marks unknown apps invalid", async () => {
+    mock.method(axios, "get", fakeSteamApi([], {
+      reviews: { 10: { total_positive: 9, total_negative: 1, total_reviews: 10 } }
+    }).get);
+
+    const helper = createHelper({ gameScore: { enabled: true, minReviews: 50 } });
+    assert.equal(await helper.fetchGameScore("10"), null);
+    assert.deepEqual(await helper.fetchGameScore("20"), { invalid: true });
+    assert.equal(await helper.fetchGameScore("not-a-game"), null);
+  });
+
+  it("backs off after a 429 response", async () => {
+    const get = mock.method(axios, "get", async () => {
+      const error = new Error("Too Many Requests");
+      error.response = { status: 429 };
+      throw error;
+    });
+    mock.method(console, "warn", () => {});
+
+    const helper = createHelper({ gameScore: { enabled: true, minReviews: 50 } });
+    assert.equal(await helper.fetchGameScore("730"), null);
+    assert.ok(helper.scoreRateLimitBackoff > Date.now());
+
+    assert.equal(await helper.fetchGameScore("570"), null);
+    assert.equal(get.mock.callCount(), 1);
+  });
+
+  it("marks 404 responses invalid", async () => {
+    mock.method(axios, "get", async () => {
+      const error = new Error("Not Found");
+      error.response = { status: 404 };
+      throw error;
+    });
+
+    const helper = createHelper({ gameScore: { enabled: true, minReviews: 50 } });
+    assert.deepEqual(await helper.fetchGameScore("730"), { invalid: true });
+  });
+});
+
+describe("enrichWithScores", () => {
+  function helperWithCache() {
+    const helper = createHelper({ gameScore: { enabled: true, minReviews: 50 } });
+    helper.scoresCache = new ScoresCache(path.join(tmpDir, "scores.json"), 7);
+    return helper;
+  }
+
+  it("uses fresh cache entries without fetching", async () => {
+    const get = mock.method(axios, "get", fakeSteamApi([]).get);
+    const helper = helperWithCache();
+    helper.scoresCache.set(730, { score: 90 });
+
+    const friends = [{ gameId: "730" }, { gameId: null }];
+    await helper.enrichWithScores(friends);
+
+    assert.equal(friends[0].gameScore, 90);
+    assert.equal(friends[1].gameScore, undefined);
+    assert.equal(get.mock.callCount(), 0);
+  });
+
+  it("serves stale scores while revalidating", async () => {
+    mock.method(axios, "get", fakeSteamApi([], {
+      reviews: { 730: { total_positive: 60, total_negative: 40, total_reviews: 100 } }
+    }).get);
+    const helper = helperWithCache();
+    helper.scoresCache.cache.set("730", { score: 90, cachedAt: Date.now() - 8 * DAY_MS });
+
+    const friends = [{ gameId: "730" }, { gameId: "730" }];
+    await helper.enrichWithScores(friends);
+
+    assert.deepEqual(friends.map(f => f.gameScore), [60, 60]);
+    assert.equal(helper.scoresCache.isStale(helper.scoresCache.get(730)), false);
+  });
+
+  it("keeps the stale score when revalidation fails", async () => {
+    mock.method(axios, "get", async () => {
+      throw new Error("timeout");
+    });
+    const helper = helperWithCache();
+    helper.scoresCache.cache.set("730", { score: 90, cachedAt: Date.now() - 8 * DAY_MS });
+
+    const friends = [{ gameId: "730" }];
+    await helper.enrichWithScores(friends);
+
+    assert.equal(friends[0].gameScore, 90);
+    assert.equal(helper.scoresCache.isStale(helper.scoresCache.get(730)), true);
+  });
+
+  it("fetches each game only once", async () => {
+    const api = fakeSteamApi([], {
+      reviews: {
+        730: { total_positive: 80, total_negative: 20, total_reviews: 100 },
+        570: { total_positive: 50, total_negative: 50, total_reviews: 100 }
+      }
+    });
+    mock.method(axios, "get", api.get);
+    const helper = helperWithCache();
+
+    const friends = [{ gameId: "730" }, { gameId: "570" }, { gameId: "730" }];
+    await helper.enrichWithScores(friends);
+
+    assert.equal(api.calls.length, 2);
+    assert.deepEqual(friends.map(f => f.gameScore), [80, 50, 80]);
+  });
+});
+
+describe("enrichWithPlaytime", () => {
+  it("sums playtime, caches it and treats missing games as private", async () => {
+    const api = fakeSteamApi([], {
+      ownedGames: {
+        "76561198000000001": [{ playtime_forever: 100 }, { playtime_forever: 50 }]
+      }
+    });
+    mock.method(axios, "get", api.get);
+
+    const helper = createHelper({ sortFriends: "totalPlaytime" });
+    helper.playtimeCache = new PlaytimeCache(path.join(tmpDir, "playtime.json"), 24);
+
+    const friends = [{ id: "76561198000000001" }, { id: "76561198000000002" }];
+    await helper.enrichWithPlaytime(friends, "test-key");
+
+    assert.deepEqual(friends.map(f => f.totalPlaytime), [150, 0]);
+    assert.equal(helper.playtimeCache.get("76561198000000001").gameCount, 2);
+    assert.equal(helper.playtimeCache.get("76561198000000002").private, true);
+
+    await helper.enrichWithPlaytime(friends, "test-key");
+    assert.equal(api.calls.length, 2);
+  });
+
+  it("replaces stale playtime with a private entry when the refresh fails", async () => {
+    mock.method(axios, "get", async () => {
+      throw new Error("timeout");
+    });
+
+    const helper = createHelper({ sortFriends: "totalPlaytime" });
+    helper.playtimeCache = new PlaytimeCache(path.join(tmpDir, "playtime.json"), 24);
+    helper.playtimeCache.cache.set("76561198000000001", { totalPlaytime: 900, cachedAt: 0 });
+
+    const friends = [{ id: "76561198000000001" }];
+    await helper.enrichWithPlaytime(friends, "test-key");
+
+    assert.equal(friends[0].totalPlaytime, 0);
+    assert.equal(helper.playtimeCache.get("76561198000000001").private, true);
+  });
+});
+
+describe("enrichWithRecentGames", () => {
+  const recentlyPlayed = {
+    "76561198000000001": [
+      { appid: 570, name: "Dota 2", playtime_2weeks: 30 },
+      { appid: 730, name: "Counter-Strike 2", playtime_2weeks: 300 },
+      { appid: 440, name: "Team Fortress 2", playtime_2weeks: 60 }
+    ]
+  };
+
+  it("adds the most played recent games to offline friends and caches them", async () => {
+    const api = fakeSteamApi([], { recentlyPlayed });
+    mock.method(axios, "get", api.get);
+
+    const helper = createHelper({ recentGames: { enabled: true, maxGames: 2 } });
+    helper.recentGamesCache = new RecentGamesCache(path.join(tmpDir, "recent.json"), 6);
+
+    const friends = [
+      { id: "76561198000000001", state: "offline", inGame: false },
+      { id: "76561198000000002", state: "offline", inGame: false },
+      { id: "76561198000000003", state: "online", inGame: false }
+    ];
+    await helper.enrichWithRecentGames(friends, "test-key");
+
+    assert.deepEqual(friends[0].recentGames.map(g => g.name), ["Counter-Strike 2", "Team Fortress 2"]);
+    assert.deepEqual(friends[1].recentGames, []);
+    assert.equal(friends[2].recentGames, undefined);
+    assert.equal(api.calls.length, 2);
+
+    await helper.enrichWithRecentGames(friends, "test-key");
+    assert.equal(api.calls.length, 2);
+  });
+
+  it("replaces stale games with a private entry when the refresh fails", async () => {
+    mock.method(axios, "get", async () => {
+      throw new Error("timeout");
+    });
+
+    const helper = createHelper({ recentGames: { enabled: true, maxGames: 3 } });
+    helper.recentGamesCache = new RecentGamesCache(path.join(tmpDir, "recent.json"), 6);
+    helper.recentGamesCache.cache.set("76561198000000001", {
+      games: [{ gameId: "730", name: "Counter-Strike 2", minutesTwoWeeks: 300 }],
+      cachedAt: 0
+    });
+
+    const friends = [{ id: "76561198000000001", state: "offline", inGame: false }];
+    await helper.enrichWithRecentGames(friends, "test-key");
+
+    assert.deepEqual(friends[0].recentGames, []);
+    assert.equal(helper.recentGamesCache.get("76561198000000001").private, true);
+  });
+
+  it("only fetches games of friends the frontend can show", async () => {
+    const offline = ["76561198000000001", "76561198000000002", "76561198000000003"]
+      .map(id => player(id, { personastate: 0 }));
+    const recentCalls = async config => {
+      const api = fakeSteamApi(offline);
+      mock.method(axios, "get", api.get);
+      const helper = createHelper({ recentGames: { enabled: true }, maxFriends: 1, ...config });
+      helper.recentGamesCache = new RecentGamesCache(path.join(tmpDir, "recent.json"), 6);
+      await helper.fetchFriends();
+      mock.restoreAll();
+      return api.calls.filter(url => url.includes("GetRecentlyPlayedGames")).length;
+    };
+
+    assert.equal(await recentCalls({}), 1);
+    assert.equal(await recentCalls({ paging: { enabled: true, mode: "pages" } }), 3);
+  });
+
+  it("follows group limits and playing-together rows", () => {
+    const helper = createHelper({
+      maxFriends: 1,
+      groups: [{ name: "Family", maxFriends: 2 }],
+      showUngrouped: true,
+      playingTogether: { enabled: true }
+    });
+    helper.groupMembers = [["1", "2", "3"]];
+    const friends = ["1", "2", "3", "4", "5"].map(id => ({ id, inGame: id === "1" || id === "4", state: "offline" }));
+
+    assert.deepEqual(helper.getDisplayedFriends(friends).map(f => f.id), ["1", "2", "3", "4", "5"]);
+    helper.config.playingTogether.enabled = false;
+    assert.deepEqual(helper.getDisplayedFriends(friends).map(f => f.id), ["1", "2", "4"]);
+  });
+});
@@ -0,0 +1,210 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const axios = require("axios");
+const { Helper, IDENTIFIER, createHelper, player, fakeSteamApi } = require("./helpers/load-helper");
+
+const { API } = Helper;
+
+function friendIds(count) {
+  return Array.from({ length: count }, (_, i) => `76561198${String(i).padStart(9, "0")}`);
+}
+
+describe("fetchFriends", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("batches GetPlayerSummaries in groups of FRIENDS_PER_REQUEST", async () => {
+    const players = friendIds(250).map(id => player(id));
+    const api = fakeSteamApi(players);
+    mock.method(axios, "get", api.get);
+
+    const helper = createHelper();
+    await helper.fetchFriends();
+
+    const summaryCalls = api.calls.filter(url => url.includes("GetPlayerSummaries"));
+    assert.equal(summaryCalls.length, 3);
+    const batchSizes = summaryCalls.map(url => new URL(url).searchParams.get("steamids").split(",").length);
+    assert.deepEqual(batchSizes, [API.FRIENDS_PER_REQUEST, API.FRIENDS_PER_REQUEST, 50]);
+
+    const update = helper.sent.find(s => s.notification === "FRIENDS_UPDATE");
+    assert.equal(update.payload.length, 250);
+  });
+
+  it("filters by friendAllowlist before fetching summaries", async () => {
+    const players = friendIds(5).map(id => player(id));
+    const api = fakeSteamApi(players);
+    mock.method(axios, "get", api.get);
+
+    const helper = createHelper({ friendAllowlist: [players[1].steamid, players[3].steamid] });
+    await helper.fetchFriends();
+
+    const summaryUrl = api.calls.find(url => url.includes("GetPlayerSummaries"));
+    assert.equal(new URL(summaryUrl).searchParams.get("steamids"), `${players[1].steamid},${players[3].steamid}`);
+  });
+
+  it("sends an empty update when no friends remain", async () => {
+    mock.method(axios, "get", fakeSteamApi([]).get);
+
+    const helper = createHelper();
+    await helper.fetchFriends();
+
+    assert.deepEqual(helper.sent, [{ notification: "FRIENDS_UPDATE", identifier: IDENTIFIER, payload: [] }]);
+  });
+
+  it("normalizes player summaries", async () => {
+    mock.method(axios, "get", fakeSteamApi([
+      player("76561198000000001", { personaname: "Alpha", gameid: "730", gameextrainfo: "Counter-Strike 2" }),
+      player("76561198000000002", { personaname: "Bravo", loccountrycode: undefined, personastate: 9 })
+    ]).get);
+
+    const helper = createHelper();
+    await helper.fetchFriends();
+
+    const [alpha, bravo] = helper.sent[0].payload;
+    assert.deepEqual(alpha, {
+      id: "76561198000000001",
+      name: "Alpha",
+      avatar: "https://avatars.steamstatic.com/test_full.jpg",
+      state: "online",
+      inGame: true,
+      game: "Counter-Strike 2",
+      gameId: "730",
+      gameServer: null,
+      lobbyId: null,
+      country: "de",
+      lastLogOff: 1700000000,
+      platform: "pc"
+    });
+    assert.equal(bravo.country, "xx");
+    assert.equal(bravo.state, "offline");
+    assert.equal(bravo.inGame, false);
+    assert.equal(bravo.gameId, null);
+    assert.equal(bravo.platform, null);
+  });
+
+  it("sorts in-game first, then by persona state, then by configured order", async () => {
+    mock.method(axios, "get", fakeSteamApi([
+      player("76561198000000001", { personaname: "Zed", personastate: 0, lastlogoff: 300 }),
+      player("76561198000000002", { personaname: "Yan", personastate: 3 }),
+      player("76561198000000003", { personaname: "Xia", personastate: 1, lastlogoff: 100 }),
+      player("76561198000000004", { personaname: "Abe", personastate: 0, lastlogoff: 200 }),
+      player("76561198000000005", { personaname: "Wes", personastate: 1, gameid: "570" }),
+      player("76561198000000006", { personaname: "Bob", personastate: 1, lastlogoff: 500 }),
+      player("76561198000000007", { personaname: "Cy", personastate: 2 })
+    ]).get);
+
+    const alphabetic = createHelper({ sortFriends: "alphabetic" });
+    await alphabetic.fetchFriends();
+    assert.deepEqual(
+      alphabetic.sent[0].payload.map(f => f.name),
+      ["Wes", "Bob", "Xia", "Cy", "Yan", "Abe", "Zed"]
+    );
+
+    const recent = createHelper({ sortFriends: "recentActivity" });
+    await recent.fetchFriends();
+    assert.deepEqual(
+      recent.sent[0].payload.map(f => f.name),
+      ["Wes", "Bob", "Xia", "Cy", "Yan", "Zed", "Abe"]
+    );
+  });
+
+  it("only sends FRIENDS_UPDATE when the data changed", async () => {
+    const players = [player("76561198000000001")];
+    mock.method(axios, "get", fakeSteamApi(players).get);
+
+    const helper = createHelper();
+    await helper.fetchFriends();
+    await helper.fetchFriends();
+    assert.equal(helper.sent.length, 1);
+
+    players[0].personastate = 3;
+    await helper.fetchFriends();
+    assert.equal(helper.sent.length, 2);
+    assert.equal(helper.sent[1].payload[0].state, "away");
+  });
+
+  it("skips overlapping fetches", async () => {
+    const helper = createHelper();
+    helper.fetchInProgress = true;
+    const get = mock.method(axios, "get", fakeSteamApi([]).get);
+
+    await helper.fetchFriends();
+
+    assert.equal(get.mock.callCount(), 0);
+    assert.equal(helper.sent.length, 0);
+  });
+
+  it("reports errors and resets the count after a successful fetch", async () => {
+    const get = mock.method(axios, "get", async () => {
+      throw new Error("Request failed with status code 500");
+    });
+
+    const helper = createHelper();
+    await helper.fetchFriends();
+    await helper.fetchFriends();
+
+    assert.equal(helper.errorCount, 2);
+    assert.deepEqual(helper.sent.map(s => s.payload), [
+      { message: "Request failed with status code 500", count: 1 },
+      { message: "Request failed with status code 500", count: 2 }
+    ]);
+    assert.equal(helper.fetchInProgress, false);
+
+    get.mock.mockImplementation(fakeSteamApi([player("76561198000000001")]).get);
+    await helper.fetchFriends();
+    assert.equal(helper.errorCount, 0);
+  });
+
+  it("fails without an API key", async () => {
+    const previousEnvKey = process.env.STEAM_API_KEY;
+    delete process.env.STEAM_API_KEY;
+    const get = mock.method(axios, "get", fakeSteamApi([]).get);
+
+    try {
+      const helper = createHelper({ steamApiKey: "" });
+      await helper.fetchFriends();
+
+      assert.equal(get.mock.callCount(), 0);
+      assert.equal(helper.sent[0].notification, "FETCH_ERROR");
+      assert.match(helper.sent[0].payload.message, /API key not configured/);
+    } finally {
+      if (previousEnvKey !== undefined) process.env.STEAM_API_KEY = previousEnvKey;
+    }
+  });
+
+  it("switches to FALLBACK_POLL_INTERVAL after MAX_CONSECUTIVE_ERRORS", async () => {
+    mock.method(axios, "get", async () => {
+      throw new Error("Network down");
+    });
+    const intervals = [];
+    mock.method(global, "setInterval", (fn, delay) => {
+      intervals.push(delay);
+      return { fake: true, delay };
+    });
+    mock.method(global, "clearInterval", () => {});
+
+    const helper = createHelper();
+    helper.pollInterval = setInterval(() => helper.fetchFriends(), helper.config.updateInterval);
+
+    for (let i = 1; i < API.MAX_CONSECUTIVE_ERRORS; i++) {
+      await helper.fetchFriends();
+    }
+    assert.deepEqual(intervals, [60000]);
+
+    await helper.fetchFriends();
+    assert.equal(helper.errorCount, API.MAX_CONSECUTIVE_ERRORS);
+    assert.deepEqual(intervals, [60000, API.FALLBACK_POLL_INTERVAL]);
+    assert.equal(helper.pollInterval.delay, API.FALLBACK_POLL_INTERVAL);
+  });
+
+  it("uses configured endpoint base URLs", async () => {
+    const api = fakeSteamApi([player("76561198000000001")]);
+    mock.method(axios, "get", api.get);
+
+    const helper = createHelper({ endpoints: { api: "http://localhost:8099/" } });
+    await helper.fetchFriends();
+
+    assert.ok(api.calls.every(url => url.startsWith("http://localhost:8099/ISteamUser/")));
+  });
+});
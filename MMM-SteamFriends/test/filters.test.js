@@ -0,0 +1,125 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const axios = require("axios");
+const { IDENTIFIER, createHelper, player, fakeSteamApi } = require("./helpers/load-helper");
+
+const DAY_SECONDS = 86400;
+
+describe("applyFilters", () => {
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const friends = [
+    { id: "1", status: "Online", state: "online", inGame: true, game: "Counter-Strike 2", gameId: "730", country: "de", lastLogOff: nowSeconds },
+    { id: "2", status: "Snooze", state: "snooze", inGame: false, game: "", gameId: null, country: "us", lastLogOff: nowSeconds },
+    { id: "3", status: "Offline", state: "offline", inGame: false, game: "", gameId: null, country: "de", lastLogOff: nowSeconds - 40 * DAY_SECONDS },
+    { id: "4", status: "Offline", state: "offline", inGame: false, game: "", gameId: null, country: "fr", lastLogOff: nowSeconds - 2 * DAY_SECONDS },
+    { id: "5", status: "Online", state: "online", inGame: true, game: "Dota 2", gameId: "570", country: "xx", lastLogOff: undefined }
+  ];
+
+  function filteredIds(filters) {
+    const helper = createHelper({ filters });
+    return helper.applyFilters(friends).map(f => f.id);
+  }
+
+  it("keeps everyone without filters", () => {
+    assert.deepEqual(filteredIds(undefined), ["1", "2", "3", "4", "5"]);
+    assert.deepEqual(filteredIds({}), ["1", "2", "3", "4", "5"]);
+  });
+
+  it("hides friends offline longer than maxOfflineDays", () => {
+    assert.deepEqual(filteredIds({ maxOfflineDays: 30 }), ["1", "2", "4", "5"]);
+    assert.deepEqual(filteredIds({ maxOfflineDays: 1 }), ["1", "2", "5"]);
+  });
+
+  it("hides configured persona states", () => {
+    assert.deepEqual(filteredIds({ hideStatuses: ["Snooze", "Offline"] }), ["1", "5"]);
+  });
+
+  it("keeps only friends in the given games by app ID or name", () => {
+    assert.deepEqual(filteredIds({ onlyGames: [730] }), ["1"]);
+    assert.deepEqual(filteredIds({ onlyGames: ["dota 2", "730"] }), ["1", "5"]);
+  });
+
+  it("filters by country", () => {
+    assert.deepEqual(filteredIds({ countries: ["DE"] }), ["1", "3"]);
+    assert.deepEqual(filteredIds({ excludeCountries: ["de", "us"] }), ["4", "5"]);
+  });
+});
+
+describe("fetchFriends with blocklist and filters", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("skips blocked friends before fetching summaries", async () => {
+    const api = fakeSteamApi([
+      player("76561198000000001"),
+      player("76561198000000002"),
+      player("76561198000000003")
+    ], { vanity: { bravo: "76561198000000002" } });
+    mock.method(axios, "get", api.get);
+
+    const helper = createHelper({ friendBlocklist: ["bravo", "STEAM_0:1:19867137"] });
+    await helper.fetchFriends();
+
+    const summaryUrl = api.calls.find(url => url.includes("GetPlayerSummaries"));
+    assert.equal(new URL(summaryUrl).searchParams.get("steamids"), "76561198000000001");
+  });
+
+  it("filters before sending the list", async () => {
+    mock.method(axios, "get", fakeSteamApi([
+      player("76561198000000001", { personastate: 4 }),
+      player("76561198000000002")
+    ]).get);
+
+    const helper = createHelper({ filters: { hideStatuses: ["Snooze"] } });
+    await helper.fetchFriends();
+
+    assert.deepEqual(helper.sent[0].payload.map(f => f.id), ["76561198000000002"]);
+  });
+});
+
+describe("runtime commands", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  function players() {
+    return [
+      player("76561198000000001", { personaname: "Alpha", personastate: 0 }),
+      player("76561198000000002", { personaname: "Bravo" }),
+      player("76561198000000003", { personaname: "Charlie", lastlogoff: 100 })
+    ];
+  }
+
+  it("applies and resets filters sent with SET_FILTER", async () => {
+    mock.method(axios, "get", fakeSteamApi(players()).get);
+    const helper = createHelper({ filters: { countries: ["de"] } });
+    helper.configuredFilters = helper.snapshotFilters();
+
+    await helper.socketNotificationReceived("SET_FILTER", {
+      identifier: IDENTIFIER,
+      filter: { hideStatuses: ["Offline"], friendBlocklist: ["76561198000000003"] }
+    });
+    assert.deepEqual(helper.config.filters, { countries: ["de"], hideStatuses: ["Offline"] });
+    assert.deepEqual(helper.sent.at(-1).payload.map(f => f.name), ["Bravo"]);
+
+    await helper.socketNotificationReceived("SET_FILTER", { identifier: IDENTIFIER, filter: { reset: true } });
+    assert.deepEqual(helper.config.filters, { countries: ["de"] });
+    assert.deepEqual(helper.config.friendBlocklist, []);
+    assert.equal(helper.sent.at(-1).payload.length, 3);
+  });
+
+  it("re-sorts with SET_SORT and refetches on REFRESH", async () => {
+    const api = fakeSteamApi(players());
+    mock.method(axios, "get", api.get);
+    const helper = createHelper({ filters: {} });
+
+    await helper.socketNotificationReceived("SET_SORT", { identifier: IDENTIFIER, sort: "recentActivity" });
+    assert.equal(helper.config.sortFriends, "recentActivity");
+    assert.deepEqual(helper.sent.at(-1).payload.map(f => f.name), ["Bravo", "Charlie", "Alpha"]);
+
+    const callsBefore = api.calls.length;
+    await helper.socketNotificationReceived("REFRESH", { identifier: IDENTIFIER });
+    assert.ok(api.calls.length > callsBefore);
+  });
+});
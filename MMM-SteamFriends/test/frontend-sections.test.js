@@ -0,0 +1,329 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createModule } = require("./helpers/load-module");
+
+function friend(id, overrides = {}) {
+  return { id, name: `Friend ${id}`, state: "online", inGame: false, game: "", gameId: null, ...overrides };
+}
+
+describe("getSections", () => {
+  const friends = [
+    friend("1", { inGame: true, gameId: "730" }),
+    friend("2"),
+    friend("3"),
+    friend("4", { state: "offline" })
+  ];
+
+  it("returns a single section without groups", () => {
+    const module = createModule({ maxFriends: 3 });
+    module.friends = friends;
+
+    const sections = module.getSections();
+    assert.equal(sections.length, 1);
+    assert.equal(sections[0].title, null);
+    assert.equal(sections[0].limit, 3);
+  });
+
+  it("splits friends into groups with their own limits and order", () => {
+    const module = createModule({
+      maxFriends: 10,
+      groups: [
+        { name: "Raid Squad", maxFriends: 1 },
+        { name: "Family", order: "members" }
+      ]
+    });
+    module.friends = friends;
+    module.groupMembers = [["2", "1"], ["4", "2"]];
+
+    const sections = module.getSections();
+    assert.deepEqual(sections.map(s => s.title), ["Raid Squad", "Family", "Other Friends"]);
+    assert.deepEqual(sections[0].friends.map(f => f.id), ["1", "2"]);
+    assert.equal(sections[0].limit, 1);
+    assert.deepEqual(sections[1].friends.map(f => f.id), ["4", "2"]);
+    assert.deepEqual(sections[2].friends.map(f => f.id), ["3"]);
+    assert.deepEqual(module.getStatusCounts(sections[1].friends), { ingame: 0, online: 1, offline: 1 });
+  });
+
+  it("omits the ungrouped section when disabled", () => {
+    const module = createModule({ groups: [{ name: "Raid Squad" }], showUngrouped: false });
+    module.friends = friends;
+    module.groupMembers = [["1"]];
+
+    assert.deepEqual(module.getSections().map(s => s.key), ["group-0"]);
+  });
+});
+
+describe("getDisplayItems", () => {
+  const friends = [
+    friend("1", { inGame: true, gameId: "730", game: "Counter-Strike 2", lobbyId: "L1" }),
+    friend("2", { inGame: true, gameId: "570", game: "Dota 2" }),
+    friend("3", { inGame: true, gameId: "730", game: "Counter-Strike 2", lobbyId: "L1" }),
+    friend("4", { inGame: true, gameId: "730", game: "Counter-Strike 2", gameServer: "1.2.3.4:27015" }),
+    friend("5")
+  ];
+
+  it("keeps one row per friend when disabled", () => {
+    const module = createModule();
+    assert.deepEqual(module.getDisplayItems(friends).map(i => i.key), ["1", "2", "3", "4", "5"]);
+  });
+
+  it("collapses friends in the same game into one party row", () => {
+    const module = createModule({ playingTogether: { enabled: true, matchBy: "game", minFriends: 2 } });
+    const items = module.getDisplayItems(friends);
+
+    assert.deepEqual(items.map(i => i.key), ["party-game-730", "2", "5"]);
+    assert.deepEqual(items[0].friends.map(f => f.id), ["1", "3", "4"]);
+    assert.equal(items[0].game, "Counter-Strike 2");
+  });
+
+  it("only groups shared lobbies or servers in session mode", () => {
+    const module = createModule({ playingTogether: { enabled: true, matchBy: "session", minFriends: 2 } });
+    const items = module.getDisplayItems(friends);
+
+    assert.deepEqual(items.map(i => i.key), ["party-lobby-L1", "2", "4", "5"]);
+  });
+
+  it("respects minFriends", () => {
+    const module = createModule({ playingTogether: { enabled: true, matchBy: "game", minFriends: 4 } });
+    assert.deepEqual(module.getDisplayItems(friends).map(i => i.key), ["1", "2", "3", "4", "5"]);
+  });
+});
+
+describe("paging", () => {
+  const friends = Array.from({ length: 7 }, (_, i) => friend(String(i + 1)));
+
+  function pagedModule(config = {}) {
+    const module = createModule({ maxFriends: 3, paging: { enabled: true, mode: "pages", interval: 15000, scrollSpeed: 20 }, ...config });
+    module.friends = friends;
+    module.pageIndex = 0;
+    module.queryRoot = () => null;
+    return module;
+  }
+
+  it("shows one page of maxFriends rows and wraps after the last page", () => {
+    const module = pagedModule();
+    const [section] = module.getSections();
+    const visibleIds = () => module.getVisibleItems(section).map(item => item.key);
+
+    assert.equal(module.getPageCount(section), 3);
+    assert.deepEqual(visibleIds(), ["1", "2", "3"]);
+    assert.equal(module.getPageIndicatorText(), "1 / 3");
+
+    module.nextPage();
+    assert.deepEqual(visibleIds(), ["4", "5", "6"]);
+    module.nextPage();
+    assert.deepEqual(visibleIds(), ["7"]);
+    assert.equal(module.getPageIndicatorText(), "3 / 3");
+    module.nextPage();
+    assert.deepEqual(visibleIds(), ["1", "2", "3"]);
+  });
+
+  it("pages groups in step, each wrapping after its own pages", () => {
+    const module = pagedModule({ groups: [{ name: "Squad", maxFriends: 2 }] });
+    module.groupMembers = [["1", "2"]];
+    module.nextPage();
+
+    const [squad, others] = module.getSections();
+    assert.deepEqual(module.getVisibleItems(squad).map(item => item.key), ["1", "2"]);
+    assert.deepEqual(module.getVisibleItems(others).map(item => item.key), ["6", "7"]);
+  });
+
+  it("stays on the first page when everything fits", () => {
+    const module = pagedModule({ maxFriends: 10 });
+    module.nextPage();
+    assert.equal(module.pageIndex, 0);
+    assert.equal(module.getPageIndicatorText(), "");
+  });
+
+  it("keeps the first maxFriends rows without paging and all rows for the ticker", () => {
+    const plain = createModule({ maxFriends: 3 });
+    plain.friends = friends;
+    assert.equal(plain.getVisibleItems(plain.getSections()[0]).length, 3);
+
+    const ticker = pagedModule({ paging: { enabled: true, mode: "scroll", interval: 15000, scrollSpeed: 20 } });
+    assert.equal(ticker.getVisibleItems(ticker.getSections()[0]).length, 7);
+  });
+
+  it("scrolls the ticker and pauses at both ends", (t) => {
+    let now = 0;
+    t.mock.method(Date, "now", () => now);
+    const viewport = {
+      scrollTop: 0,
+      scrollHeight: 102,
+      clientHeight: 100,
+      style: {},
+      querySelector: () => null,
+      querySelectorAll: () => []
+    };
+    const module = pagedModule({ paging: { enabled: true, mode: "scroll", interval: 1000, scrollSpeed: 20 } });
+    module.queryRoot = () => viewport;
+    module.scrollPosition = 0;
+    module.scrollPauseUntil = 0;
+
+    module.scrollTick();
+    assert.equal(viewport.scrollTop, 1);
+    module.scrollTick();
+    assert.equal(viewport.scrollTop, 2);
+    assert.equal(module.scrollPauseUntil, 1000);
+
+    module.scrollTick();
+    assert.equal(viewport.scrollTop, 2);
+
+    now = 1000;
+    module.scrollTick();
+    assert.equal(viewport.scrollTop, 0);
+    assert.equal(module.scrollPauseUntil, 2000);
+  });
+
+  it("measures the ticker viewport once per render", () => {
+    const module = pagedModule({ paging: { enabled: true, mode: "scroll", interval: 1000, scrollSpeed: 20 } });
+    let measured = 0;
+    module.queryRoot = () => ({ scrollHeight: 100, clientHeight: 100 });
+    module.sizeScrollViewport = () => measured++;
+    module.scrollPauseUntil = 0;
+    module.scrollViewportSized = false;
+
+    module.scrollTick();
+    module.scrollTick();
+    assert.equal(measured, 1);
+
+    // What getDom and updateSectionRows do
+    module.scrollViewportSized = false;
+    module.scrollTick();
+    assert.equal(measured, 2);
+  });
+
+  it("stops its timers while suspended", (t) => {
+    const active = new Set();
+    let nextId = 0;
+    t.mock.method(global, "setInterval", () => {
+      active.add(++nextId);
+      return nextId;
+    });
+    t.mock.method(global, "clearInterval", id => active.delete(id));
+    const module = pagedModule({ stats: { enabled: true, mode: "page", pageInterval: 30000 } });
+    module.sendToHelper = () => {};
+    module.timers = [];
+
+    module.startTimers();
+    assert.equal(active.size, 2);
+    module.suspend();
+    assert.equal(active.size, 0);
+    module.resume();
+    module.resume();
+    assert.equal(active.size, 2);
+  });
+});
+
+describe("layouts", () => {
+  const friends = [
+    friend("1", { inGame: true, gameId: "730", game: "Counter-Strike 2" }),
+    friend("2", { inGame: true, gameId: "730", game: "Counter-Strike 2" }),
+    friend("3")
+  ];
+
+  it("falls back to the table for unknown layouts", () => {
+    assert.equal(createModule({ layout: "grid" }).getLayout(), "grid");
+    assert.equal(createModule({ layout: "cards" }).getLayout(), "table");
+  });
+
+  it("looks up each layout's section container", () => {
+    const section = { key: "all" };
+    assert.equal(createModule().getSectionSelector(section), '.steam-table tbody.steam-rows[data-section="all"]');
+    assert.equal(createModule({ layout: "grid" }).getSectionSelector(section), '.steam-grid[data-section="all"]');
+    assert.equal(createModule({ layout: "marquee" }).getSectionSelector(section), '.marquee-track[data-section="all"]');
+  });
+
+  it("shows one ticker line without groups", () => {
+    const module = createModule({ layout: "marquee", maxFriends: 10, groups: [{ name: "Squad" }] });
+    module.friends = friends;
+    module.groupMembers = [["1"]];
+
+    const sections = module.getSections();
+    assert.equal(sections.length, 1);
+    assert.equal(sections[0].friends.length, 3);
+  });
+
+  it("changes the ticker duration only between passes", () => {
+    const module = createModule({ layout: "marquee", marquee: { secondsPerFriend: 4 } });
+    const properties = {};
+    const track = {
+      dataset: {},
+      offsetWidth: 0,
+      style: {
+        animation: "",
+        setProperty: (name, value) => { properties[name] = value; },
+        getPropertyValue: name => properties[name] || ""
+      }
+    };
+
+    module.setMarqueeDuration(track, 3);
+    module.applyMarqueeDuration(track);
+    assert.equal(properties["--marquee-duration"], "12s");
+
+    module.setMarqueeDuration(track, 5);
+    assert.equal(properties["--marquee-duration"], "12s");
+    // What the animationiteration listener does
+    module.applyMarqueeDuration(track);
+    assert.equal(properties["--marquee-duration"], "20s");
+    assert.equal(track.dataset.nextDuration, undefined);
+  });
+
+  it("keeps one tile per friend instead of party rows", () => {
+    const playingTogether = { enabled: true, matchBy: "game", minFriends: 2 };
+    assert.equal(createModule({ playingTogether }).getDisplayItems(friends).length, 2);
+    assert.equal(createModule({ layout: "grid", playingTogether }).getDisplayItems(friends).length, 3);
+  });
+
+  it("re-renders tiles and ticker items only when what they show changed", () => {
+    const module = createModule({ layout: "grid" });
+    const rendered = [];
+    module.renderGridTile = (element, f) => rendered.push(f.id);
+    const tile = { dataset: { state: module.getItemSignature(friends[0]) } };
+
+    module.updateItemElement(tile, { key: "1", friend: friends[0] }, new Map());
+    assert.deepEqual(rendered, []);
+
+    module.updateItemElement(tile, { key: "1", friend: { ...friends[0], game: "Dota 2", gameId: "570" } }, new Map());
+    assert.deepEqual(rendered, ["1"]);
+  });
+});
+
+describe("themes", () => {
+  function fakeRoot() {
+    const root = { classes: [], properties: {} };
+    root.classList = { add: name => root.classes.push(name) };
+    root.style = { setProperty: (name, value) => { root.properties[name] = value; } };
+    return root;
+  }
+
+  it("adds the theme class and falls back to steam-classic", () => {
+    const root = fakeRoot();
+    createModule({ theme: "monochrome-mirror" }).applyTheme(root);
+    createModule({ theme: "neon" }).applyTheme(root);
+    assert.deepEqual(root.classes, ["theme-monochrome-mirror", "theme-steam-classic"]);
+  });
+
+  it("overrides only known status colors", () => {
+    const root = fakeRoot();
+    createModule({ statusColors: { ingame: "#00ffff", offline: "", background: "#123456" } }).applyTheme(root);
+    assert.deepEqual(root.properties, { "--steam-ingame": "#00ffff" });
+  });
+
+  it("defines every theme variable with a value instead of itself", () => {
+    const css = fs.readFileSync(path.join(__dirname, "..", "steam.css"), "utf8");
+    const blocks = Array.from(css.matchAll(/\.steam-root(?:\.theme-[\w-]+)?\s*\{([^}]*)\}/g), match => match[1]);
+    const definitions = blocks.flatMap(block => Array.from(block.matchAll(/(--[\w-]+)\s*:\s*([^;]+);/g)));
+
+    assert.ok(definitions.some(([, name]) => name === "--steam-online"));
+    const cyclic = definitions.filter(([, name, value]) => value.includes(`var(${name})`)).map(([, name]) => name);
+    assert.deepEqual(cyclic, []);
+  });
+
+  it("loads the custom stylesheet after steam.css", () => {
+    assert.deepEqual(createModule().getStyles(), ["steam.css", "flags/flags.css"]);
+    assert.deepEqual(createModule({ customStylesheet: "css/mirror.css" }).getStyles(), ["steam.css", "flags/flags.css", "css/mirror.css"]);
+  });
+});
@@ -0,0 +1,63 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const axios = require("axios");
+const { createHelper, player, fakeSteamApi } = require("./helpers/load-helper");
+
+describe("friend groups", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  function makePlayers() {
+    return [
+      player("76561198000000001"),
+      player("76561198000000002"),
+      player("76561198000000003")
+    ];
+  }
+
+  it("resolves group members in order and sends them before the friends list", async () => {
+    const players = makePlayers();
+    mock.method(axios, "get", fakeSteamApi(players, { vanity: { bravo: "76561198000000002" } }).get);
+
+    const helper = createHelper({
+      groups: [
+        { name: "Raid Squad", members: ["bravo", "76561198000000001"] },
+        { name: "Family", members: ["[U:1:39734275]"] }
+      ]
+    });
+    await helper.fetchFriends();
+
+    assert.deepEqual(helper.sent.map(s => s.notification), ["FRIEND_GROUPS", "FRIENDS_UPDATE"]);
+    assert.deepEqual(helper.sent[0].payload, [
+      ["76561198000000002", "76561198000000001"],
+      ["76561198000000003"]
+    ]);
+  });
+
+  it("only resends groups when membership changes", async () => {
+    const players = makePlayers();
+    mock.method(axios, "get", fakeSteamApi(players).get);
+
+    const helper = createHelper({
+      groups: [{ name: "Raid Squad", members: ["76561198000000001"] }]
+    });
+    await helper.fetchFriends();
+    players[0].personastate = 3;
+    await helper.fetchFriends();
+    assert.deepEqual(helper.sent.map(s => s.notification), ["FRIEND_GROUPS", "FRIENDS_UPDATE", "FRIENDS_UPDATE"]);
+
+    helper.config.groups[0].members.push("76561198000000002");
+    await helper.fetchFriends();
+    assert.equal(helper.sent[3].notification, "FRIEND_GROUPS");
+  });
+
+  it("does not send groups when none are configured", async () => {
+    const players = makePlayers();
+    mock.method(axios, "get", fakeSteamApi(players).get);
+
+    const helper = createHelper();
+    await helper.fetchFriends();
+    assert.deepEqual(helper.sent.map(s => s.notification), ["FRIENDS_UPDATE"]);
+  });
+});
@@ -0,0 +1,157 @@
+// Loads node_helper.js outside MagicMirror by stubbing the "node_helper" module
+const Module = require("module");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const NodeHelperStub = {
+  create(definition) {
+    function Helper() {
+      this.name = "MMM-SteamFriends";
+      this.path = path.join(__dirname, "..", "..");
+      this.sent = [];
+    }
+    Helper.prototype = Object.assign({
+      // Instances wrap payloads as { identifier, payload }; unwrap them for assertions
+      sendSocketNotification(notification, envelope) {
+        this.sent.push({ notification, identifier: envelope.identifier, payload: envelope.payload });
+      }
+    }, definition);
+    return Helper;
+  }
+};
+
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request === "node_helper") {
+    return NodeHelperStub;
+  }
+  return originalLoad.call(this, request, parent, isMain);
+};
+
+const Helper = require("../../node_helper");
+
+const DEFAULT_CONFIG = {
+  steamId: "76561198000000000",
+  steamApiKey: "test-key",
+  updateInterval: 60000,
+  friendAllowlist: [],
+  sortFriends: "alphabetic",
+  gameScore: {
+    enabled: false,
+    refreshDays: 7,
+    minReviews: 50
+  }
+};
+
+const IDENTIFIER = "module_0_MMM-SteamFriends";
+
+let helperCount = 0;
+
+// Create a started helper with unique temp files for its persistent stores,
+// so tests never touch the module folder.
+function createRootHelper({ expressApp } = {}) {
+  const root = new Helper();
+  root.expressApp = expressApp;
+  root.start();
+  helperCount++;
+  root.credentialsStore = new Helper.CredentialsStore(
+    path.join(os.tmpdir(), `steamfriends-credentials-${process.pid}-${helperCount}.json`)
+  );
+  root.storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "steamfriends-stores-"));
+  root.steamIdCache = new Helper.SteamIdCache(
+    path.join(os.tmpdir(), `steamfriends-steamids-${process.pid}-${helperCount}.json`)
+  );
+  return root;
+}
+
+// Create the helper view of one module instance, with config merged over test defaults.
+// Its sent list is the root's, so it records notifications of every instance.
+function createHelper(config = {}, { expressApp, root = createRootHelper({ expressApp }), identifier = IDENTIFIER } = {}) {
+  const helper = root.getInstance(identifier);
+  helper.config = { ...DEFAULT_CONFIG, ...config };
+  return helper;
+}
+
+// Build a player summary as returned by GetPlayerSummaries
+function player(steamid, overrides = {}) {
+  return {
+    steamid,
+    personaname: `Player ${steamid.slice(-3)}`,
+    avatarfull: "https://avatars.steamstatic.com/test_full.jpg",
+    personastate: 1,
+    loccountrycode: "DE",
+    lastlogoff: 1700000000,
+    ...overrides
+  };
+}
+
+// Fake axios.get that answers Steam API URLs from an in-memory player list.
+// friendLists maps owner SteamIDs to friend IDs; without it every owner is friends with all players.
+// levels and recentlyPlayed answer GetSteamLevel and GetRecentlyPlayedGames per SteamID.
+// appNames maps Steam language names to store app names by app ID.
+function fakeSteamApi(players, {
+  ownedGames = {}, reviews = {}, vanity = {}, friendLists = null, levels = {}, recentlyPlayed = {}, appNames = {}
+} = {}) {
+  const calls = [];
+  const get = async (url) => {
+    calls.push(url);
+    const parsed = new URL(url);
+    const params = parsed.searchParams;
+
+    if (parsed.pathname.endsWith("/GetFriendList/v0001/")) {
+      if (friendLists) {
+        const ids = friendLists[params.get("steamid")];
+        if (!ids) {
+          const error = new Error("Request failed with status code 401");
+          error.response = { status: 401 };
+          throw error;
+        }
+        return { data: { friendslist: { friends: ids.map(steamid => ({ steamid })) } } };
+      }
+      return { data: { friendslist: { friends: players.map(p => ({ steamid: p.steamid })) } } };
+    }
+    if (parsed.pathname.endsWith("/GetPlayerSummaries/v0002/")) {
+      const ids = params.get("steamids").split(",");
+      return { data: { response: { players: players.filter(p => ids.includes(p.steamid)) } } };
+    }
+    if (parsed.pathname.endsWith("/ResolveVanityURL/v0001/")) {
+      const steamid = vanity[params.get("vanityurl")];
+      return { data: { response: steamid ? { success: 1, steamid } : { success: 42, message: "No match" } } };
+    }
+    if (parsed.pathname.endsWith("/GetOwnedGames/v0001/")) {
+      const games = ownedGames[params.get("steamid")];
+      return { data: { response: games ? { games } : {} } };
+    }
+    if (parsed.pathname.endsWith("/GetSteamLevel/v1/")) {
+      const level = levels[params.get("steamid")];
+      return { data: { response: level === undefined ? {} : { player_level: level } } };
+    }
+    if (parsed.pathname.endsWith("/GetRecentlyPlayedGames/v0001/")) {
+      const games = recentlyPlayed[params.get("steamid")];
+      return { data: { response: games ? { total_count: games.length, games } : {} } };
+    }
+    if (parsed.pathname.endsWith("/api/appdetails")) {
+      const appId = params.get("appids");
+      const name = (appNames[params.get("l")] || {})[appId];
+      return { data: { [appId]: name ? { success: true, data: { name } } : { success: false } } };
+    }
+    const reviewMatch = parsed.pathname.match(/\/appreviews\/(\d+)$/);
+    if (reviewMatch) {
+      const summary = reviews[reviewMatch[1]];
+      return { data: summary ? { success: 1, query_summary: summary } : { success: false } };
+    }
+    throw new Error(`Unexpected URL ${url}`);
+  };
+  return { get, calls };
+}
+
+module.exports = {
+  Helper,
+  DEFAULT_CONFIG,
+  IDENTIFIER,
+  createRootHelper,
+  createHelper,
+  player,
+  fakeSteamApi
+};
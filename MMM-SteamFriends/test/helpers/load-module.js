@@ -0,0 +1,45 @@
+// Loads the MMM-SteamFriends.js frontend definition outside a browser for testing pure methods
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const source = fs.readFileSync(path.join(__dirname, "..", "..", "MMM-SteamFriends.js"), "utf8");
+const translations = {
+  en: JSON.parse(fs.readFileSync(path.join(__dirname, "..", "..", "translations", "en.json"), "utf8")),
+  de: JSON.parse(fs.readFileSync(path.join(__dirname, "..", "..", "translations", "de.json"), "utf8"))
+};
+
+let definition = null;
+// Run in this realm so arrays and objects compare cleanly with node:assert
+const factory = vm.runInThisContext(`(function (Module) {\n${source}\n})`, { filename: "MMM-SteamFriends.js" });
+factory({
+  register(name, moduleDefinition) {
+    definition = moduleDefinition;
+  }
+});
+
+// Stand-in for MagicMirror's Module.translate: looks the key up in the language's file
+// and replaces {placeholders}, falling back to English and then to the key itself
+function createTranslate(language) {
+  return (key, variables = {}) => {
+    const template = translations[language][key] || translations.en[key] || key;
+    return template.replace(/\{([^}]+)\}/g, (match, name) => (name in variables ? variables[name] : match));
+  };
+}
+
+// Create a module instance with config shallow-merged over defaults, like MagicMirror does
+function createModule(config = {}, { language = "en" } = {}) {
+  const module = Object.create(definition);
+  module.identifier = "module_0_MMM-SteamFriends";
+  module.translate = createTranslate(language);
+  module.config = { ...definition.defaults, ...config };
+  module.friends = [];
+  module.groupMembers = [];
+  return module;
+}
+
+module.exports = {
+  definition,
+  translations,
+  createModule
+};
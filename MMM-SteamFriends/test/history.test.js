@@ -0,0 +1,182 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const axios = require("axios");
+const { Helper, createHelper, player, fakeSteamApi } = require("./helpers/load-helper");
+const { createModule } = require("./helpers/load-module");
+const { snapshotFriends, diffSnapshots } = require("../lib/webhooks");
+
+const { HistoryStore } = Helper;
+
+const MINUTE = 60000;
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "steamfriends-test-"));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function snapshot(overrides = {}) {
+  return { id: "1", state: "online", inGame: false, game: "", gameId: null, ...overrides };
+}
+
+// Record snapshots the way fetchFriends does, with the transitions since the previous one
+function recorder(store) {
+  let previous = null;
+  return (friends, now) => {
+    const current = snapshotFriends(friends);
+    store.record(friends, previous ? diffSnapshots(previous, current) : [], now);
+    previous = current;
+  };
+}
+
+describe("HistoryStore", () => {
+  it("seeds state on first sighting without events", () => {
+    const store = new HistoryStore(path.join(tmpDir, "history.json"));
+    store.record([snapshot({ inGame: true, gameId: "730", game: "Counter-Strike 2" })], [], 1000);
+
+    assert.deepEqual(store.get("1").events, []);
+    assert.equal(store.get("1").gameSince, 1000);
+  });
+
+  it("logs online, offline and game transitions with timestamps", () => {
+    const store = new HistoryStore(path.join(tmpDir, "history.json"));
+    const record = recorder(store);
+    record([snapshot({ state: "offline" })], 0);
+    record([snapshot()], 1 * MINUTE);
+    record([snapshot({ inGame: true, gameId: "730", game: "Counter-Strike 2" })], 2 * MINUTE);
+    record([snapshot({ inGame: true, gameId: "570", game: "Dota 2" })], 50 * MINUTE);
+    record([snapshot({ state: "offline" })], 90 * MINUTE);
+
+    const entry = store.get("1");
+    assert.deepEqual(entry.events.slice(0, 4), [
+      { type: "online", at: MINUTE },
+      { type: "game_start", at: 2 * MINUTE, gameId: "730", game: "Counter-Strike 2" },
+      { type: "game_stop", at: 50 * MINUTE, gameId: "730", game: "Counter-Strike 2", startedAt: 2 * MINUTE },
+      { type: "game_start", at: 50 * MINUTE, gameId: "570", game: "Dota 2" }
+    ]);
+    assert.deepEqual(entry.events.slice(4).map(event => event.type), ["offline", "game_stop"]);
+    assert.deepEqual(entry.lastGame, { gameId: "570", game: "Dota 2", startedAt: 50 * MINUTE, endedAt: 90 * MINUTE });
+  });
+
+  it("updates state without events when no transition was reported", () => {
+    const store = new HistoryStore(path.join(tmpDir, "history.json"));
+    store.record([snapshot({ inGame: true, gameId: "730", game: "Counter-Strike 2" })], [], 0);
+    store.record([snapshot({ state: "offline" })], [], 30 * MINUTE);
+
+    const entry = store.get("1");
+    assert.deepEqual(entry.events, []);
+    assert.equal(entry.online, false);
+    assert.deepEqual(entry.lastGame, { gameId: "730", game: "Counter-Strike 2", startedAt: 0, endedAt: 30 * MINUTE });
+  });
+
+  it("logs a transition once when instances share the store", () => {
+    const store = new HistoryStore(path.join(tmpDir, "history.json"));
+    const first = recorder(store);
+    const second = recorder(store);
+    first([snapshot({ state: "offline" })], 0);
+    second([snapshot({ state: "offline" })], 0);
+    first([snapshot()], MINUTE);
+    second([snapshot()], MINUTE);
+
+    assert.deepEqual(store.get("1").events, [{ type: "online", at: MINUTE }]);
+  });
+
+  it("caps stored events per friend", () => {
+    const store = new HistoryStore(path.join(tmpDir, "history.json"), 3);
+    const record = recorder(store);
+    for (let i = 0; i < 10; i++) {
+      record([snapshot({ state: i % 2 ? "offline" : "online" })], i * MINUTE);
+    }
+    assert.equal(store.get("1").events.length, 3);
+    assert.equal(store.get("1").events[2].at, 9 * MINUTE);
+  });
+
+  it("annotates friends with playing-since and last-played details", () => {
+    const store = new HistoryStore(path.join(tmpDir, "history.json"));
+    const record = recorder(store);
+    record([snapshot({ inGame: true, gameId: "730", game: "Counter-Strike 2" })], 0);
+
+    const playing = snapshot({ inGame: true, gameId: "730", game: "Counter-Strike 2" });
+    store.annotate(playing);
+    assert.equal(playing.gameSince, 0);
+    assert.equal(playing.lastPlayed, undefined);
+
+    record([snapshot({ state: "offline" })], 47 * MINUTE);
+    const offline = snapshot({ state: "offline" });
+    store.annotate(offline);
+    assert.equal(offline.gameSince, undefined);
+    assert.deepEqual(offline.lastPlayed, { game: "Counter-Strike 2", gameId: "730", at: 47 * MINUTE });
+  });
+
+  it("persists and reloads history", async () => {
+    const cachePath = path.join(tmpDir, "history.json");
+    const store = new HistoryStore(cachePath);
+    store.record([snapshot()], [], 0);
+    await store.save();
+
+    const reloaded = new HistoryStore(cachePath);
+    await reloaded.load();
+    assert.equal(reloaded.get("1").online, true);
+  });
+});
+
+describe("fetchFriends with history", () => {
+  it("records transitions and sends annotated friends", async () => {
+    const players = [player("76561198000000001", { gameid: "730", gameextrainfo: "Counter-Strike 2" })];
+    mock.method(axios, "get", fakeSteamApi(players).get);
+
+    const helper = createHelper({ history: { enabled: true } });
+    helper.historyStore = new HistoryStore(path.join(tmpDir, "history.json"));
+
+    await helper.fetchFriends();
+    const firstUpdate = helper.sent[0].payload[0];
+    assert.equal(typeof firstUpdate.gameSince, "number");
+
+    delete players[0].gameid;
+    delete players[0].gameextrainfo;
+    await helper.fetchFriends();
+    const secondUpdate = helper.sent[1].payload[0];
+    assert.equal(secondUpdate.gameSince, undefined);
+    assert.equal(secondUpdate.lastPlayed.game, "Counter-Strike 2");
+  });
+});
+
+describe("relative time formatting", () => {
+  const module = createModule();
+
+  it("refreshes only when relative times are shown", () => {
+    assert.equal(createModule().showsRelativeTimes(), false);
+    assert.equal(createModule({ history: { enabled: true, showPlayingFor: true, showLastPlayed: false } }).showsRelativeTimes(), true);
+    assert.equal(createModule({ history: { enabled: true, showPlayingFor: false, showLastPlayed: false } }).showsRelativeTimes(), false);
+    assert.equal(createModule({ showStatusText: true }).showsRelativeTimes(), true);
+  });
+
+  it("formats durations", () => {
+    assert.equal(module.formatDuration(30 * 1000), "<1m");
+    assert.equal(module.formatDuration(47 * MINUTE), "47m");
+    assert.equal(module.formatDuration(120 * MINUTE), "2h");
+    assert.equal(module.formatDuration(125 * MINUTE), "2h 5m");
+    assert.equal(module.formatDuration(27 * 60 * MINUTE), "1d 3h");
+  });
+
+  it("formats elapsed time", () => {
+    assert.equal(module.formatTimeAgo(10 * 1000), "just now");
+    assert.equal(module.formatTimeAgo(12 * MINUTE), "12m ago");
+    assert.equal(module.formatTimeAgo(2 * 60 * MINUTE), "2h ago");
+    assert.equal(module.formatTimeAgo(30 * 60 * MINUTE), "1 day ago");
+    assert.equal(module.formatTimeAgo(3 * 24 * 60 * MINUTE), "3 days ago");
+  });
+
+  it("never reports negative time", () => {
+    assert.equal(module.formatRelativeTime(2000, "ago", 1000), "just now");
+    assert.equal(module.formatRelativeTime(0, "duration", 47 * MINUTE), "47m");
+  });
+});
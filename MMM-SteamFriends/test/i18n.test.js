@@ -0,0 +1,148 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const axios = require("axios");
+const { Helper, createHelper, player, fakeSteamApi } = require("./helpers/load-helper");
+const { translations, createModule } = require("./helpers/load-module");
+
+const { GameNamesCache } = Helper;
+
+const MINUTE = 60000;
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "steamfriends-test-"));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe("translations", () => {
+  it("has every English key in German", () => {
+    assert.deepEqual(Object.keys(translations.de).sort(), Object.keys(translations.en).sort());
+  });
+
+  it("defines every key the frontend uses", () => {
+    const source = fs.readFileSync(path.join(__dirname, "..", "MMM-SteamFriends.js"), "utf8");
+    const keys = Array.from(source.matchAll(/translate\("([A-Z_]+)"/g), match => match[1]);
+    ["online", "busy", "away", "snooze", "trade", "play", "offline"].forEach(state => keys.push(`STATE_${state.toUpperCase()}`));
+    ["PC", "DECK", "WEB", "MOBILE"].forEach(platform => keys.push(`PLATFORM_${platform}`));
+
+    assert.deepEqual(keys.filter(key => !(key in translations.en)), []);
+  });
+
+  it("localizes status codes and relative times", () => {
+    const module = createModule({}, { language: "de" });
+    assert.equal(module.getStatusText({ state: "away", inGame: false }), "Abwesend");
+    assert.equal(module.getStatusText({ state: "play", inGame: false }), "Möchte spielen");
+    assert.equal(module.getStatusText({ state: "online", inGame: true }), "Im Spiel");
+    assert.equal(module.formatTimeAgo(3 * 24 * 60 * MINUTE), "vor 3 Tagen");
+    assert.equal(module.formatDuration(125 * MINUTE), "2 Std. 5 Min.");
+  });
+
+  it("translates built-in setup QR labels only", () => {
+    const module = createModule({}, { language: "de" });
+    assert.equal(module.getSetupQrLabel({ key: "SETUP_QR_MIRROR", label: "Mirror Setup" }), "Spiegel einrichten");
+    assert.equal(module.getSetupQrLabel({ key: null, label: "Family Wiki" }), "Family Wiki");
+  });
+});
+
+describe("mirror language in the helper", () => {
+  it("maps MagicMirror languages to Steam languages", () => {
+    const helper = createHelper();
+    [["de", "german"], ["pt-BR", "brazilian"], ["pt", "portuguese"], ["de-AT", "german"], ["xx", "english"]].forEach(([language, steam]) => {
+      helper.language = language;
+      assert.equal(helper.getSteamLanguage(), steam);
+    });
+  });
+
+  it("fetches reviews in the mirror language when configured", async () => {
+    const api = fakeSteamApi([], { reviews: { 730: { total_positive: 90, total_negative: 10, total_reviews: 100 } } });
+    mock.method(axios, "get", api.get);
+
+    const helper = createHelper({ gameScore: { enabled: true, minReviews: 50, reviewLanguage: "mirror" } });
+    helper.language = "de";
+    const result = await helper.fetchGameScore("730");
+
+    assert.equal(result.language, "german");
+    assert.equal(new URL(api.calls[0]).searchParams.get("language"), "german");
+
+    helper.config.gameScore.reviewLanguage = "all";
+    await helper.fetchGameScore("730");
+    assert.equal(new URL(api.calls[1]).searchParams.get("language"), "all");
+  });
+
+  it("refreshes cached scores after the review language changed", async () => {
+    const api = fakeSteamApi([], { reviews: { 730: { total_positive: 90, total_negative: 10, total_reviews: 100 } } });
+    mock.method(axios, "get", api.get);
+
+    const helper = createHelper({ gameScore: { enabled: true, minReviews: 50, reviewLanguage: "mirror" } });
+    helper.language = "de";
+    helper.helper.scoresCache = new Helper.ScoresCache(path.join(tmpDir, "scores.json"), 7);
+    helper.scoresCache.set("730", { score: 70, totalReviews: 1000 });
+
+    const friends = [{ id: "1", inGame: true, gameId: "730" }];
+    await helper.enrichWithScores(friends);
+    assert.equal(friends[0].gameScore, 90);
+    assert.equal(helper.scoresCache.get("730").language, "german");
+
+    await helper.enrichWithScores(friends);
+    assert.equal(api.calls.length, 1);
+  });
+
+  it("sends store game names in the mirror language to the frontend only", async () => {
+    const api = fakeSteamApi([
+      player("76561198000000001", { personaname: "Alpha", gameid: "1091500", gameextrainfo: "Cyberpunk 2077" }),
+      player("76561198000000002", { personaname: "Bravo", gameid: "730", gameextrainfo: "Counter-Strike 2" })
+    ], { appNames: { japanese: { 1091500: "サイバーパンク2077" } } });
+    mock.method(axios, "get", api.get);
+
+    const helper = createHelper({ api: { enabled: true } });
+    helper.language = "ja";
+    helper.helper.gameNamesCache = new GameNamesCache(path.join(tmpDir, "names.json"), 30);
+
+    await helper.fetchFriends();
+    await helper.fetchFriends();
+
+    const update = helper.sent.find(s => s.notification === "FRIENDS_UPDATE").payload;
+    assert.deepEqual(update.map(f => f.game), ["サイバーパンク2077", "Counter-Strike 2"]);
+    assert.deepEqual(helper.apiFriends.map(f => f.game), ["Cyberpunk 2077", "Counter-Strike 2"]);
+    // The frontend translates state codes; the English label stays with the API
+    assert.deepEqual([update[0].status, helper.apiFriends[0].status], [undefined, "Online"]);
+    // Names the store doesn't have are cached too and not requested again
+    assert.equal(api.calls.filter(url => url.includes("/api/appdetails")).length, 2);
+  });
+
+  it("localizes recently played games without changing cached entries", async () => {
+    mock.method(axios, "get", fakeSteamApi([], { appNames: { german: { 620: "Portal 2 (DE)" } } }).get);
+    const helper = createHelper();
+    helper.language = "de";
+    helper.helper.gameNamesCache = new GameNamesCache(path.join(tmpDir, "names.json"), 30);
+    const recentGames = [{ gameId: "620", name: "Portal 2", minutesTwoWeeks: 30 }];
+
+    const [friend] = await helper.localizeGameNames([{ id: "1", inGame: false, game: "", gameId: null, recentGames }]);
+
+    assert.equal(friend.recentGames[0].name, "Portal 2 (DE)");
+    assert.equal(recentGames[0].name, "Portal 2");
+  });
+
+  it("persists game names per language", async () => {
+    const cachePath = path.join(tmpDir, "names.json");
+    const cache = new GameNamesCache(cachePath, 30);
+    cache.set("german", "730", { name: "Counter-Strike 2" });
+    cache.set("japanese", "730", { name: null });
+    await cache.save();
+
+    const reloaded = new GameNamesCache(cachePath, 30);
+    await reloaded.load();
+    assert.equal(reloaded.get("german", "730").name, "Counter-Strike 2");
+    assert.equal(reloaded.get("japanese", "730").name, null);
+    assert.equal(reloaded.get("french", "730"), null);
+    assert.equal(reloaded.isStale(reloaded.get("german", "730")), false);
+  });
+});
@@ -0,0 +1,171 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const axios = require("axios");
+const { DEFAULT_CONFIG, createRootHelper, createHelper, player, fakeSteamApi } = require("./helpers/load-helper");
+
+const players = [
+  player("76561198000000001", { personaname: "Alpha" }),
+  player("76561198000000002", { personaname: "Bravo", personastate: 0 })
+];
+
+describe("multiple module instances", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("keeps config and poll state per instance and tags notifications", async () => {
+    mock.method(axios, "get", fakeSteamApi(players).get);
+    mock.method(global, "setInterval", (fn, delay) => ({ fake: true, delay }));
+    mock.method(global, "clearInterval", () => {});
+    const root = createRootHelper();
+    const config = { ...DEFAULT_CONFIG };
+
+    await root.socketNotificationReceived("INIT", { identifier: "module_1", config: { ...config, updateInterval: 60000 } });
+    await root.socketNotificationReceived("INIT", {
+      identifier: "module_2",
+      config: { ...config, updateInterval: 120000, filters: { hideStatuses: ["Offline"] } }
+    });
+
+    const first = root.getInstance("module_1");
+    const second = root.getInstance("module_2");
+    assert.equal(first.pollInterval.delay, 60000);
+    assert.equal(second.pollInterval.delay, 120000);
+    assert.equal(root.config, null);
+
+    const updates = root.sent.filter(s => s.notification === "FRIENDS_UPDATE");
+    assert.deepEqual(updates.map(s => [s.identifier, s.payload.length]), [["module_1", 2], ["module_2", 1]]);
+  });
+
+  it("shares one fetch between instances on the same account", async () => {
+    const api = fakeSteamApi(players);
+    mock.method(axios, "get", api.get);
+    const root = createRootHelper();
+    const first = createHelper({}, { root, identifier: "module_1" });
+    const second = createHelper({ sortFriends: "recentActivity" }, { root, identifier: "module_2" });
+
+    await first.fetchFriends();
+    await second.fetchFriends();
+
+    assert.equal(api.calls.filter(url => url.includes("GetFriendList")).length, 1);
+    assert.equal(api.calls.filter(url => url.includes("GetPlayerSummaries")).length, 1);
+    assert.deepEqual(root.sent.map(s => s.identifier), ["module_1", "module_2"]);
+
+    // An instance's own next poll asks Steam again
+    await first.fetchFriends();
+    assert.equal(api.calls.filter(url => url.includes("GetPlayerSummaries")).length, 2);
+  });
+
+  it("fetches separately for instances on different accounts", async () => {
+    const api = fakeSteamApi(players, {
+      friendLists: {
+        "76561198000000100": ["76561198000000001"],
+        "76561198000000200": ["76561198000000001", "76561198000000002"]
+      }
+    });
+    mock.method(axios, "get", api.get);
+    const root = createRootHelper();
+    const first = createHelper({ steamId: "76561198000000100" }, { root, identifier: "module_1" });
+    const second = createHelper({ steamId: "76561198000000200" }, { root, identifier: "module_2" });
+
+    await first.fetchFriends();
+    await second.fetchFriends();
+
+    assert.equal(api.calls.filter(url => url.includes("GetFriendList")).length, 2);
+    const summaryIds = api.calls
+      .filter(url => url.includes("GetPlayerSummaries"))
+      .map(url => new URL(url).searchParams.get("steamids"));
+    assert.deepEqual(summaryIds, ["76561198000000001", "76561198000000002"]);
+    assert.deepEqual(root.sent.map(s => s.payload.length), [1, 2]);
+  });
+
+  it("shares history between instances on the same accounts only", async () => {
+    mock.method(axios, "get", fakeSteamApi(players).get);
+    mock.method(global, "setInterval", () => ({ fake: true }));
+    const root = createRootHelper();
+    const history = { enabled: true };
+
+    await root.socketNotificationReceived("INIT", { identifier: "module_1", config: { ...DEFAULT_CONFIG, history } });
+    await root.socketNotificationReceived("INIT", { identifier: "module_2", config: { ...DEFAULT_CONFIG, history } });
+    await root.socketNotificationReceived("INIT", {
+      identifier: "module_3",
+      config: { ...DEFAULT_CONFIG, steamId: "76561198000000100", history }
+    });
+    await root.socketNotificationReceived("INIT", { identifier: "module_4", config: { ...DEFAULT_CONFIG } });
+
+    const [first, second, third, fourth] = ["module_1", "module_2", "module_3", "module_4"].map(id => root.getInstance(id));
+    assert.ok(first.historyStore);
+    assert.equal(first.historyStore, second.historyStore);
+    assert.notEqual(first.historyStore, third.historyStore);
+    assert.notEqual(first.historyStore.cachePath, third.historyStore.cachePath);
+    assert.equal(fourth.historyStore, null);
+  });
+
+  it("keeps activity stats of different accounts apart", async () => {
+    const api = fakeSteamApi([
+      player("76561198000000001", { personaname: "Alpha", gameid: "730", gameextrainfo: "Counter-Strike 2" }),
+      player("76561198000000002", { personaname: "Bravo", gameid: "570", gameextrainfo: "Dota 2" })
+    ], {
+      friendLists: {
+        "76561198000000100": ["76561198000000001"],
+        "76561198000000200": ["76561198000000002"]
+      }
+    });
+    mock.method(axios, "get", api.get);
+    mock.method(global, "setInterval", () => ({ fake: true }));
+    let now = 1700000000000;
+    mock.method(Date, "now", () => now);
+    const root = createRootHelper();
+    const stats = { enabled: true, days: 7 };
+    const updateInterval = 3600000;
+
+    await root.socketNotificationReceived("INIT", {
+      identifier: "module_1",
+      config: { ...DEFAULT_CONFIG, steamId: "76561198000000100", updateInterval, stats }
+    });
+    await root.socketNotificationReceived("INIT", {
+      identifier: "module_2",
+      config: { ...DEFAULT_CONFIG, steamId: "76561198000000200", updateInterval, stats }
+    });
+    now += 30 * 60000;
+    await root.getInstance("module_1").fetchFriends();
+    await root.getInstance("module_2").fetchFriends();
+
+    const latest = identifier => root.sent
+      .filter(s => s.notification === "ACTIVITY_STATS" && s.identifier === identifier)
+      .pop().payload;
+    assert.deepEqual(latest("module_1").friends.map(f => [f.name, f.hours]), [["Alpha", 0.5]]);
+    assert.deepEqual(latest("module_2").friends.map(f => [f.name, f.hours]), [["Bravo", 0.5]]);
+  });
+
+  it("keeps activity stats of instances with different allowlists apart", async () => {
+    mock.method(axios, "get", fakeSteamApi([
+      player("76561198000000001", { personaname: "Alpha", gameid: "730", gameextrainfo: "Counter-Strike 2" }),
+      player("76561198000000002", { personaname: "Bravo", gameid: "570", gameextrainfo: "Dota 2" })
+    ]).get);
+    mock.method(global, "setInterval", () => ({ fake: true }));
+    let now = 1700000000000;
+    mock.method(Date, "now", () => now);
+    const root = createRootHelper();
+    const stats = { enabled: true, days: 7 };
+    const updateInterval = 3600000;
+
+    await root.socketNotificationReceived("INIT", {
+      identifier: "module_1",
+      config: { ...DEFAULT_CONFIG, friendAllowlist: ["76561198000000001"], updateInterval, stats }
+    });
+    await root.socketNotificationReceived("INIT", {
+      identifier: "module_2",
+      config: { ...DEFAULT_CONFIG, friendAllowlist: ["76561198000000002"], updateInterval, stats }
+    });
+    now += 60 * 60000;
+    await root.getInstance("module_1").fetchFriends();
+    await root.getInstance("module_2").fetchFriends();
+
+    const latest = identifier => root.sent
+      .filter(s => s.notification === "ACTIVITY_STATS" && s.identifier === identifier)
+      .pop().payload;
+    assert.deepEqual(latest("module_1").friends.map(f => [f.name, f.hours]), [["Alpha", 1]]);
+    assert.deepEqual(latest("module_2").friends.map(f => [f.name, f.hours]), [["Bravo", 1]]);
+    assert.notEqual(root.getInstance("module_1").activityLog, root.getInstance("module_2").activityLog);
+  });
+});
@@ -0,0 +1,211 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const axios = require("axios");
+const { createHelper, player, fakeSteamApi } = require("./helpers/load-helper");
+const { MqttPublisher } = require("../lib/mqtt-publisher");
+
+function friend(id, overrides = {}) {
+  return { id, name: `Friend ${id}`, status: "Online", inGame: false, game: "", gameId: null, ...overrides };
+}
+
+// Stand-in for mqtt.connect that records publishes and subscriptions
+function fakeConnect() {
+  const client = new EventEmitter();
+  client.messages = [];
+  client.subscriptions = [];
+  client.publish = (topic, payload, options) => client.messages.push({ topic, payload, retain: !!(options && options.retain) });
+  client.subscribe = topic => client.subscriptions.push(topic);
+  client.end = () => {
+    client.ended = true;
+  };
+  const connect = (url, options) => {
+    client.url = url;
+    client.options = options;
+    return client;
+  };
+  return { client, connect };
+}
+
+function topics(client) {
+  return client.messages.map(m => m.topic);
+}
+
+function lastPayload(client, topic) {
+  const message = client.messages.filter(m => m.topic === topic).at(-1);
+  return message && message.payload;
+}
+
+describe("MqttPublisher", () => {
+  it("connects with a retained last will and announces availability", () => {
+    const { client, connect } = fakeConnect();
+    const publisher = new MqttPublisher({ url: "mqtt://broker.local:1883", username: "mirror" }, connect);
+    publisher.start();
+    client.emit("connect");
+
+    assert.equal(client.url, "mqtt://broker.local:1883");
+    assert.equal(client.options.username, "mirror");
+    assert.deepEqual(client.options.will, { topic: "steamfriends/availability", payload: "offline", retain: true });
+    assert.deepEqual(client.messages, [{ topic: "steamfriends/availability", payload: "online", retain: true }]);
+
+    publisher.stop();
+    assert.equal(lastPayload(client, "steamfriends/availability"), "offline");
+    assert.equal(client.ended, true);
+  });
+
+  it("publishes retained per-friend topics and a summary", () => {
+    const { client, connect } = fakeConnect();
+    const publisher = new MqttPublisher({ discovery: false }, connect);
+    publisher.start();
+
+    const now = Date.UTC(2026, 9, 19, 20, 0);
+    publisher.publish([
+      friend("1", { inGame: true, game: "Counter-Strike 2", gameId: "730" }),
+      friend("2", { status: "Offline" })
+    ], now);
+
+    assert.ok(client.messages.every(m => m.retain));
+    assert.equal(lastPayload(client, "steamfriends/friend/1/status"), "In-Game");
+    assert.equal(lastPayload(client, "steamfriends/friend/1/game"), "Counter-Strike 2");
+    assert.equal(lastPayload(client, "steamfriends/friend/1/gameId"), "730");
+    assert.equal(lastPayload(client, "steamfriends/friend/1/since"), "2026-10-19T20:00:00.000Z");
+    assert.equal(lastPayload(client, "steamfriends/friend/2/status"), "Offline");
+    assert.deepEqual(JSON.parse(lastPayload(client, "steamfriends/summary")), {
+      ingame: 1,
+      online: 0,
+      offline: 1,
+      playing: [{ id: "1", name: "Friend 1", game: "Counter-Strike 2", gameId: "730" }]
+    });
+  });
+
+  it("only republishes changed values and keeps since for unchanged states", () => {
+    const { client, connect } = fakeConnect();
+    const publisher = new MqttPublisher({ discovery: false }, connect);
+    publisher.start();
+
+    const start = Date.UTC(2026, 9, 19, 20, 0);
+    publisher.publish([friend("1"), friend("2")], start);
+    const published = client.messages.length;
+
+    publisher.publish([friend("1"), friend("2", { status: "Away" })], start + 60000);
+    const changed = topics(client).slice(published);
+    assert.deepEqual(changed, [
+      "steamfriends/friend/2/status",
+      "steamfriends/friend/2/since",
+      "steamfriends/friend/2/attributes"
+    ]);
+    assert.equal(lastPayload(client, "steamfriends/friend/1/since"), "2026-10-19T20:00:00.000Z");
+  });
+
+  it("announces Home Assistant discovery configs once per friend name", () => {
+    const { client, connect } = fakeConnect();
+    const publisher = new MqttPublisher({ baseTopic: "mirror/steam/", discoveryPrefix: "ha" }, connect);
+    publisher.start();
+
+    publisher.publish([friend("1", { name: "Alpha" })]);
+    const config = JSON.parse(lastPayload(client, "ha/sensor/steamfriends_1/config"));
+    assert.equal(config.name, "Alpha");
+    assert.equal(config.state_topic, "mirror/steam/friend/1/status");
+    assert.equal(config.json_attributes_topic, "mirror/steam/friend/1/attributes");
+    assert.equal(config.availability_topic, "mirror/steam/availability");
+    assert.ok(topics(client).includes("ha/sensor/steamfriends_ingame/config"));
+
+    const count = () => topics(client).filter(t => t === "ha/sensor/steamfriends_1/config").length;
+    publisher.publish([friend("1", { name: "Alpha", status: "Away" })]);
+    assert.equal(count(), 1);
+    publisher.publish([friend("1", { name: "Alpha Prime" })]);
+    assert.equal(count(), 2);
+  });
+
+  it("clears the retained topics of friends who left the list", () => {
+    const { client, connect } = fakeConnect();
+    const publisher = new MqttPublisher({}, connect);
+    publisher.start();
+
+    publisher.publish([friend("1"), friend("2")]);
+    const published = client.messages.length;
+    publisher.publish([friend("1")]);
+
+    const cleared = client.messages.slice(published).filter(m => m.payload === "");
+    assert.deepEqual(cleared.map(m => m.topic), [
+      "steamfriends/friend/2/status",
+      "steamfriends/friend/2/game",
+      "steamfriends/friend/2/gameId",
+      "steamfriends/friend/2/since",
+      "steamfriends/friend/2/attributes",
+      "homeassistant/sensor/steamfriends_2/config"
+    ]);
+    assert.ok(cleared.every(m => m.retain));
+
+    publisher.publish([friend("1"), friend("2")]);
+    assert.equal(JSON.parse(lastPayload(client, "homeassistant/sensor/steamfriends_2/config")).name, "Friend 2");
+  });
+
+  it("clears retained topics of friends who left while the mirror was off", () => {
+    const { client, connect } = fakeConnect();
+    const publisher = new MqttPublisher({}, connect);
+    publisher.start();
+    client.emit("connect");
+    assert.deepEqual(client.subscriptions, ["steamfriends/friend/+/status"]);
+
+    const retained = (id, status = "Online") => client.emit("message", `steamfriends/friend/${id}/status`, Buffer.from(status), { retain: true });
+    const clearedIds = () => client.messages
+      .filter(m => m.payload === "" && m.topic.endsWith("/status"))
+      .map(m => m.topic.split("/")[2]);
+
+    retained("1");
+    retained("9");
+    publisher.publish([friend("1")]);
+    assert.deepEqual(clearedIds(), ["9"]);
+    assert.equal(lastPayload(client, "homeassistant/sensor/steamfriends_9/config"), "");
+
+    // After the first publish leftovers are cleared as they arrive; live echoes are ignored
+    retained("8", "In-Game");
+    client.emit("message", "steamfriends/friend/7/status", Buffer.from("Online"), { retain: false });
+    assert.deepEqual(clearedIds(), ["9", "8"]);
+  });
+});
+
+describe("fetchFriends with MQTT", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("publishes only when the friends data changed", async () => {
+    const players = [player("76561198000000001", { personaname: "Alpha" })];
+    mock.method(axios, "get", fakeSteamApi(players).get);
+    const { client, connect } = fakeConnect();
+
+    const helper = createHelper();
+    helper.mqttPublisher = new MqttPublisher({ discovery: false }, connect);
+    helper.mqttPublisher.start();
+    const publish = mock.method(helper.mqttPublisher, "publish");
+
+    await helper.fetchFriends();
+    await helper.fetchFriends();
+    assert.equal(publish.mock.callCount(), 1);
+
+    players[0].personastate = 3;
+    await helper.fetchFriends();
+    assert.equal(publish.mock.callCount(), 2);
+    assert.equal(lastPayload(client, "steamfriends/friend/76561198000000001/status"), "Away");
+  });
+
+  it("publishes the filtered friends unless told otherwise", async () => {
+    mock.method(axios, "get", fakeSteamApi([
+      player("76561198000000001", { personaname: "Alpha" }),
+      player("76561198000000002", { personaname: "Bravo", personastate: 0 })
+    ]).get);
+    const published = async mqtt => {
+      const helper = createHelper({ filters: { hideStatuses: ["Offline"] }, mqtt });
+      helper.mqttPublisher = new MqttPublisher({ discovery: false }, fakeConnect().connect);
+      helper.mqttPublisher.start();
+      const publish = mock.method(helper.mqttPublisher, "publish");
+      await helper.fetchFriends();
+      return publish.mock.calls[0].arguments[0].map(f => f.name);
+    };
+
+    assert.deepEqual(await published({ enabled: true }), ["Alpha"]);
+    assert.deepEqual(await published({ enabled: true, applyFilters: false }), ["Alpha", "Bravo"]);
+  });
+});
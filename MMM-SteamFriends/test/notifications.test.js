@@ -0,0 +1,189 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const { createRootHelper, createHelper, player, fakeSteamApi } = require("./helpers/load-helper");
+const { createModule } = require("./helpers/load-module");
+
+function friend(id, overrides = {}) {
+  return { id, name: `Friend ${id}`, status: "Online", state: "online", inGame: false, game: "", gameId: null, ...overrides };
+}
+
+function trackedModule(config = {}) {
+  const module = createModule(config);
+  module.sentNotifications = [];
+  module.sendNotification = (notification, payload) => module.sentNotifications.push([notification, payload]);
+  module.updateFriendsList = () => {};
+  return module;
+}
+
+describe("broadcastTransitions", () => {
+  it("sends a module notification per transition", () => {
+    const module = trackedModule();
+    const previous = friend("1");
+    const current = friend("1", { inGame: true, gameId: "730", game: "Counter-Strike 2" });
+    module.broadcastTransitions([
+      { event: "online", friend: friend("2"), previous: friend("2", { status: "Offline", state: "offline" }) },
+      { event: "game_start", friend: current, previous },
+      { event: "game_change", friend: friend("3"), previous: friend("3") },
+      { event: "game_stop", friend: friend("4"), previous: friend("4") },
+      { event: "offline", friend: friend("4", { status: "Offline", state: "offline" }), previous: friend("4") }
+    ]);
+
+    assert.deepEqual(module.sentNotifications.map(([notification]) => notification), [
+      "STEAM_FRIEND_ONLINE",
+      "STEAM_FRIEND_GAME_STARTED",
+      "STEAM_FRIEND_GAME_CHANGED",
+      "STEAM_FRIEND_GAME_STOPPED",
+      "STEAM_FRIEND_OFFLINE"
+    ]);
+    assert.deepEqual(module.sentNotifications[1][1], { friend: current, previous });
+  });
+
+  it("can be turned off", () => {
+    const module = trackedModule({ broadcastNotifications: false });
+    module.broadcastTransitions([{ event: "online", friend: friend("1"), previous: friend("1", { status: "Offline", state: "offline" }) }]);
+    assert.deepEqual(module.sentNotifications, []);
+  });
+});
+
+describe("transitions from the helper", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  async function broadcastPolls(players, config, polls) {
+    mock.method(axios, "get", fakeSteamApi(players).get);
+    const helper = createHelper(config);
+    const module = trackedModule(config);
+    module.identifier = helper.identifier;
+
+    for (const poll of polls) {
+      poll();
+      await helper.fetchFriends();
+    }
+    helper.sent.forEach(({ notification, identifier, payload }) => {
+      module.socketNotificationReceived(notification, { identifier, payload });
+    });
+    return module.sentNotifications.map(([notification, payload]) => [notification, payload.friend.id]);
+  }
+
+  it("stays quiet on the first poll and broadcasts afterwards", async () => {
+    const players = [player("76561198000000001")];
+    const notifications = await broadcastPolls(players, {}, [
+      () => {},
+      () => Object.assign(players[0], { gameid: "730", gameextrainfo: "Counter-Strike 2" })
+    ]);
+    assert.deepEqual(notifications, [["STEAM_FRIEND_GAME_STARTED", "76561198000000001"]]);
+  });
+
+  it("reports no offline for friends hidden by filters", async () => {
+    const players = [
+      player("76561198000000001", { gameid: "730", gameextrainfo: "Counter-Strike 2" }),
+      player("76561198000000002", { personastate: 3 })
+    ];
+    const notifications = await broadcastPolls(players, { filters: { onlyGames: ["730"] } }, [
+      () => {},
+      () => {
+        delete players[0].gameid;
+        delete players[0].gameextrainfo;
+      }
+    ]);
+    assert.deepEqual(notifications, [["STEAM_FRIEND_GAME_STOPPED", "76561198000000001"]]);
+  });
+
+  it("sends each transition from one instance when several show the friend", async () => {
+    const players = [player("76561198000000001")];
+    mock.method(axios, "get", fakeSteamApi(players).get);
+    const root = createRootHelper();
+    const instances = ["module_1", "module_2", "module_3"].map(identifier => createHelper({}, { root, identifier }));
+    instances[0].config.broadcastNotifications = false;
+    const pollAll = async () => {
+      for (const instance of instances) {
+        await instance.fetchFriends();
+      }
+    };
+    const broadcasts = () => root.sent
+      .filter(s => s.notification === "FRIEND_TRANSITIONS")
+      .map(s => [s.identifier, s.payload.map(t => t.event)]);
+
+    await pollAll();
+    players[0].personastate = 0;
+    await pollAll();
+    players[0].personastate = 1;
+    await pollAll();
+
+    assert.deepEqual(broadcasts(), [["module_2", ["offline"]], ["module_2", ["online"]]]);
+  });
+});
+
+describe("notificationReceived", () => {
+  function commandModule(config = {}) {
+    const module = createModule(config);
+    module.socketNotifications = [];
+    module.sendSocketNotification = (notification, payload) => module.socketNotifications.push([notification, payload]);
+    module.applyFocus = () => {};
+    return module;
+  }
+
+  it("forwards refresh, sort and filter commands to the helper", () => {
+    const module = commandModule();
+    module.notificationReceived("STEAM_FRIENDS_REFRESH");
+    module.notificationReceived("STEAM_FRIENDS_SET_SORT", "recentActivity");
+    module.notificationReceived("STEAM_FRIENDS_SET_SORT", { sort: "totalPlaytime" });
+    module.notificationReceived("STEAM_FRIENDS_SET_FILTER", { hideStatuses: ["Offline"] });
+    module.notificationReceived("STEAM_FRIENDS_SET_FILTER");
+
+    assert.deepEqual(module.socketNotifications, [
+      ["REFRESH", { identifier: module.identifier }],
+      ["SET_SORT", { identifier: module.identifier, sort: "recentActivity" }],
+      ["SET_SORT", { identifier: module.identifier, sort: "totalPlaytime" }],
+      ["SET_FILTER", { identifier: module.identifier, filter: { hideStatuses: ["Offline"] } }],
+      ["SET_FILTER", { identifier: module.identifier, filter: { reset: true } }]
+    ]);
+    assert.equal(module.config.sortFriends, "totalPlaytime");
+  });
+
+  it("ignores unknown sort methods", () => {
+    const module = commandModule();
+    module.notificationReceived("STEAM_FRIENDS_SET_SORT", "random");
+    assert.deepEqual(module.socketNotifications, []);
+    assert.equal(module.config.sortFriends, "alphabetic");
+  });
+
+  it("focuses friends by id or name and clears the focus", () => {
+    const module = commandModule({ focusDuration: 0 });
+    module.friends = [friend("76561198000000001", { name: "Alpha" }), friend("76561198000000002", { name: "Bravo" })];
+
+    module.notificationReceived("STEAM_FRIENDS_FOCUS", "bravo");
+    assert.equal(module.focusedFriendId, "76561198000000002");
+    assert.equal(module.isFocused(module.friends[1]), true);
+    assert.equal(module.isFocused({ party: true, friends: module.friends }), true);
+
+    // In-game rows are the common case; their rules must not override the highlight
+    module.friends[1].inGame = true;
+    assert.equal(module.isFocused(module.friends[1]), true);
+    const css = fs.readFileSync(path.join(__dirname, "..", "steam.css"), "utf8");
+    assert.ok(css.indexOf(".row.focused {") > css.indexOf(".row.ingame {"));
+
+    module.notificationReceived("STEAM_FRIENDS_FOCUS", { friend: "76561198000000001" });
+    assert.equal(module.focusedFriendId, "76561198000000001");
+
+    module.notificationReceived("STEAM_FRIENDS_FOCUS", "nobody");
+    assert.equal(module.focusedFriendId, null);
+  });
+});
+
+describe("socketNotificationReceived", () => {
+  it("only handles notifications addressed to this instance", () => {
+    const module = createModule();
+    module.updateFriendsList = () => {};
+
+    module.socketNotificationReceived("FRIENDS_UPDATE", { identifier: "module_5_MMM-SteamFriends", payload: [friend("1")] });
+    assert.deepEqual(module.friends, []);
+
+    module.socketNotificationReceived("FRIENDS_UPDATE", { identifier: module.identifier, payload: [friend("1")] });
+    assert.deepEqual(module.friends.map(f => f.id), ["1"]);
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const axios = require("axios");
+const { createHelper, player, fakeSteamApi } = require("./helpers/load-helper");
+const { createModule } = require("./helpers/load-module");
+
+const ANNA = "76561198000000100";
+const BEN = "76561198000000200";
+
+const players = [
+  player(BEN, { personaname: "Ben" }),
+  player("76561198000000001", { personaname: "Alpha" }),
+  player("76561198000000002", { personaname: "Bravo" }),
+  player("76561198000000003", { personaname: "Charlie" })
+];
+
+describe("multiple owner accounts", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("merges friends lists, de-duplicates shared friends and tags owners", async () => {
+    const api = fakeSteamApi(players, {
+      vanity: { ben: BEN },
+      friendLists: {
+        [ANNA]: ["76561198000000001", "76561198000000002"],
+        [BEN]: ["76561198000000002", "76561198000000003"]
+      }
+    });
+    mock.method(axios, "get", api.get);
+
+    const helper = createHelper({ steamId: [{ steamId: ANNA, label: "Anna" }, "ben"] });
+    await helper.fetchFriends();
+
+    const summaryIds = api.calls
+      .filter(url => url.includes("GetPlayerSummaries"))
+      .map(url => new URL(url).searchParams.get("steamids"));
+    assert.deepEqual(summaryIds, [BEN, "76561198000000001,76561198000000002,76561198000000003"]);
+    assert.deepEqual(
+      helper.sent[0].payload.map(f => [f.name, f.owners]),
+      [["Alpha", ["Anna"]], ["Bravo", ["Anna", "Ben"]], ["Charlie", ["Ben"]]]
+    );
+  });
+
+  it("looks owner persona names up once and falls back to the configured value", async () => {
+    const api = fakeSteamApi(players, {
+      friendLists: {
+        [ANNA]: ["76561198000000001"],
+        [BEN]: ["76561198000000002"]
+      }
+    });
+    mock.method(axios, "get", api.get);
+
+    const helper = createHelper({ steamId: [ANNA, BEN] });
+    await helper.fetchFriends();
+    await helper.fetchFriends();
+
+    // Anna has no public summary in the fake API
+    assert.deepEqual(helper.sent[0].payload.map(f => f.owners), [[ANNA], ["Ben"]]);
+    assert.equal(api.calls.filter(url => url.includes(`steamids=${ANNA},${BEN}`)).length, 1);
+  });
+
+  it("skips an owner whose friends list cannot be read", async () => {
+    mock.method(console, "warn", () => {});
+    mock.method(axios, "get", fakeSteamApi(players, {
+      friendLists: { [ANNA]: ["76561198000000001"] }
+    }).get);
+
+    const helper = createHelper({ steamId: [ANNA, BEN] });
+    await helper.fetchFriends();
+
+    assert.equal(helper.sent[0].notification, "FRIENDS_UPDATE");
+    assert.deepEqual(helper.sent[0].payload.map(f => f.name), ["Alpha"]);
+  });
+
+  it("fails when no owner's friends list can be read", async () => {
+    mock.method(console, "warn", () => {});
+    mock.method(axios, "get", fakeSteamApi(players, { friendLists: {} }).get);
+
+    const helper = createHelper({ steamId: [ANNA, BEN] });
+    await helper.fetchFriends();
+
+    assert.equal(helper.sent[0].notification, "FETCH_ERROR");
+    assert.match(helper.sent[0].payload.message, /401/);
+  });
+
+  it("does not tag friends with a single owner", async () => {
+    mock.method(axios, "get", fakeSteamApi(players).get);
+
+    const helper = createHelper({ steamId: [ANNA] });
+    await helper.fetchFriends();
+
+    assert.equal(helper.sent[0].payload[0].owners, undefined);
+  });
+
+  it("treats an empty owner list as missing credentials in setup mode", () => {
+    const helper = createHelper({ setup: true, steamId: [] });
+    assert.equal(helper.isSetupPending(), true);
+
+    const module = createModule({ setup: true, steamApiKey: "key", steamId: [] });
+    assert.equal(module.isSetupPending(), true);
+  });
+});
@@ -0,0 +1,33 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHelper, player } = require("./helpers/load-helper");
+
+describe("detectPlatform", () => {
+  const helper = createHelper();
+
+  function platformFor(overrides) {
+    return helper.detectPlatform(player("76561198000000001", overrides));
+  }
+
+  it("reports the desktop client when no client type flag is set", () => {
+    assert.equal(platformFor({ personastateflags: 0 }), "pc");
+    assert.equal(platformFor({ personastateflags: undefined }), "pc");
+    assert.equal(platformFor({ personastateflags: 1 | 2 }), "pc");
+  });
+
+  it("maps client type flags to platforms", () => {
+    assert.equal(platformFor({ personastateflags: 256 }), "web");
+    assert.equal(platformFor({ personastateflags: 512 }), "mobile");
+    assert.equal(platformFor({ personastateflags: 1024 }), "deck");
+    assert.equal(platformFor({ personastateflags: 1024 | 4096 }), "deck");
+  });
+
+  it("prefers mobile and web over the tenfoot client", () => {
+    assert.equal(platformFor({ personastateflags: 512 | 1024 }), "mobile");
+    assert.equal(platformFor({ personastateflags: 256 | 1024 }), "web");
+  });
+
+  it("returns null for offline friends", () => {
+    assert.equal(platformFor({ personastate: 0, personastateflags: 1024 }), null);
+  });
+});
@@ -0,0 +1,137 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const axios = require("axios");
+const { Helper, createHelper, player, fakeSteamApi } = require("./helpers/load-helper");
+const { createModule } = require("./helpers/load-module");
+
+const { API } = Helper;
+
+const OWNER = "76561198000000000";
+
+function profileApi(options = {}) {
+  return fakeSteamApi([
+    player(OWNER, { personaname: "Mirror Owner", gameid: "730", gameextrainfo: "Counter-Strike 2" }),
+    player("76561198000000001", { personaname: "Alpha" })
+  ], {
+    friendLists: { [OWNER]: ["76561198000000001"] },
+    levels: { [OWNER]: 42 },
+    recentlyPlayed: {
+      [OWNER]: [
+        { appid: 730, name: "Counter-Strike 2", playtime_2weeks: 600 },
+        { appid: 570, name: "Dota 2", playtime_2weeks: 90 },
+        { appid: 440, name: "Team Fortress 2", playtime_2weeks: 30 },
+        { appid: 620, name: "Portal 2" }
+      ]
+    },
+    ...options
+  });
+}
+
+describe("profile card", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("sends the owner's status, level and recently played games", async () => {
+    mock.method(axios, "get", profileApi().get);
+    const helper = createHelper({ profileCard: { enabled: true, recentGames: 2 } });
+
+    await helper.fetchFriends();
+
+    const profile = helper.sent.find(s => s.notification === "PROFILE_UPDATE").payload;
+    assert.equal(profile.id, OWNER);
+    assert.equal(profile.name, "Mirror Owner");
+    assert.equal(profile.inGame, true);
+    assert.equal(profile.game, "Counter-Strike 2");
+    assert.equal(profile.level, 42);
+    assert.deepEqual(profile.recentGames, [
+      { gameId: "730", name: "Counter-Strike 2", minutesTwoWeeks: 600 },
+      { gameId: "570", name: "Dota 2", minutesTwoWeeks: 90 }
+    ]);
+
+    const update = helper.sent.find(s => s.notification === "FRIENDS_UPDATE");
+    assert.deepEqual(update.payload.map(f => f.name), ["Alpha"]);
+  });
+
+  it("refreshes level and recent games only every PROFILE_DETAILS_TTL", async () => {
+    const api = profileApi();
+    mock.method(axios, "get", api.get);
+    let now = 1700000000000;
+    mock.method(Date, "now", () => now);
+    const helper = createHelper({ profileCard: { enabled: true } });
+    const levelCalls = () => api.calls.filter(url => url.includes("GetSteamLevel")).length;
+
+    await helper.fetchFriends();
+    now += 60000;
+    await helper.fetchFriends();
+    assert.equal(levelCalls(), 1);
+    assert.equal(api.calls.filter(url => url.includes("GetPlayerSummaries") && url.includes(OWNER)).length, 2);
+
+    now += API.PROFILE_DETAILS_TTL;
+    await helper.fetchFriends();
+    assert.equal(levelCalls(), 2);
+  });
+
+  it("only sends the card again when it changed", async () => {
+    mock.method(axios, "get", profileApi().get);
+    const helper = createHelper({ profileCard: { enabled: true } });
+
+    await helper.fetchFriends();
+    await helper.fetchFriends();
+
+    assert.equal(helper.sent.filter(s => s.notification === "PROFILE_UPDATE").length, 1);
+  });
+
+  it("handles private profiles without level or games", async () => {
+    mock.method(axios, "get", profileApi({ levels: {}, recentlyPlayed: {} }).get);
+    const helper = createHelper({ profileCard: { enabled: true } });
+
+    await helper.fetchFriends();
+
+    const profile = helper.sent.find(s => s.notification === "PROFILE_UPDATE").payload;
+    assert.equal(profile.level, null);
+    assert.deepEqual(profile.recentGames, []);
+  });
+
+  it("keeps showing friends when the profile cannot be loaded", async () => {
+    mock.method(console, "warn", () => {});
+    const api = profileApi();
+    mock.method(axios, "get", async url => {
+      if (url.includes("GetSteamLevel")) throw new Error("Request failed with status code 500");
+      return api.get(url);
+    });
+    const helper = createHelper({ profileCard: { enabled: true } });
+
+    await helper.fetchFriends();
+
+    assert.deepEqual(helper.sent.map(s => s.notification), ["FRIENDS_UPDATE"]);
+    assert.equal(helper.errorCount, 0);
+  });
+
+  it("does not request profile data when disabled", async () => {
+    const api = profileApi();
+    mock.method(axios, "get", api.get);
+    const helper = createHelper();
+
+    await helper.fetchFriends();
+
+    assert.ok(api.calls.every(url => !url.includes("GetSteamLevel") && !url.includes("GetRecentlyPlayedGames")));
+  });
+
+  it("skips the card in the marquee layout", async () => {
+    const api = profileApi();
+    mock.method(axios, "get", api.get);
+    const helper = createHelper({ layout: "marquee", profileCard: { enabled: true } });
+
+    await helper.fetchFriends();
+
+    assert.ok(api.calls.every(url => !url.includes("GetSteamLevel")));
+    assert.deepEqual(helper.sent.map(s => s.notification), ["FRIENDS_UPDATE"]);
+
+    const module = createModule({ layout: "marquee", profileCard: { enabled: true } });
+    let rebuilds = 0;
+    module.updateDom = () => rebuilds++;
+    module.updateProfileCard();
+    assert.equal(rebuilds, 0);
+  });
+});
@@ -0,0 +1,256 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const axios = require("axios");
+const { IDENTIFIER, createHelper, fakeSteamApi } = require("./helpers/load-helper");
+
+describe("setup QR codes", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("generates data URLs for the default and custom targets", async () => {
+    const helper = createHelper({
+      setupQrTargets: [
+        { label: "Mirror config", url: "http://magicmirror.local:8080/config" },
+        { url: "http://example.invalid/no-label" },
+        { label: "Missing url" }
+      ]
+    });
+
+    await helper.sendSetupQrCodes();
+
+    assert.equal(helper.sent.length, 1);
+    const { notification, payload } = helper.sent[0];
+    assert.equal(notification, "SETUP_QR");
+    assert.deepEqual(payload.map(code => code.label), [
+      "Steam Web API Key",
+      "SteamID Lookup",
+      "Mirror config",
+      "http://example.invalid/no-label"
+    ]);
+    for (const code of payload) {
+      assert.match(code.dataUrl, /^data:image\/png;base64,/);
+    }
+  });
+
+  it("sends QR codes instead of polling when setup is incomplete", async () => {
+    const get = mock.method(axios, "get", async () => {
+      throw new Error("should not fetch");
+    });
+
+    const helper = createHelper();
+    await helper.socketNotificationReceived("INIT", {
+      identifier: IDENTIFIER,
+      config: { ...helper.config, setup: true, steamApiKey: "" }
+    });
+
+    assert.equal(get.mock.callCount(), 0);
+    assert.equal(helper.pollInterval, null);
+    assert.deepEqual(helper.sent.map(s => s.notification), ["SETUP_QR"]);
+  });
+});
+
+describe("setup wizard", () => {
+  const API_KEY = "0123456789ABCDEF0123456789ABCDEF";
+  const OWNER_ID = "76561198000000000";
+
+  // Captures routes registered on MagicMirror's express app
+  function fakeExpressApp() {
+    const routes = {};
+    return {
+      routes,
+      get(route, handler) {
+        routes[`GET ${route}`] = handler;
+      },
+      post(route, handler) {
+        routes[`POST ${route}`] = handler;
+      }
+    };
+  }
+
+  function fakeResponse() {
+    return {
+      statusCode: 200,
+      body: "",
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      send(body) {
+        this.body = body;
+        return this;
+      }
+    };
+  }
+
+  function wizardHelper(expressApp) {
+    const helper = createHelper({
+      setup: true,
+      steamApiKey: "",
+      steamId: "",
+      setupWizard: { enabled: true, publicUrl: "" }
+    }, { expressApp });
+    mock.method(global, "setInterval", () => ({ fake: true }));
+    return helper;
+  }
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("saves credentials, notifies the frontend and starts polling", async () => {
+    mock.method(axios, "get", fakeSteamApi([], { vanity: { mirrorowner: OWNER_ID } }).get);
+    const helper = wizardHelper();
+
+    await helper.completeSetup(API_KEY, "https://steamcommunity.com/id/mirrorowner/");
+
+    assert.equal(helper.config.steamId, OWNER_ID);
+    assert.equal(helper.config.steamApiKey, API_KEY);
+    assert.deepEqual(helper.sent[0], {
+      notification: "SETUP_COMPLETE",
+      identifier: IDENTIFIER,
+      payload: { steamId: OWNER_ID }
+    });
+    assert.ok(helper.pollInterval);
+
+    const stored = await helper.credentialsStore.load();
+    assert.equal(stored.steamApiKey, API_KEY);
+    assert.equal(stored.steamId, OWNER_ID);
+    assert.equal(helper.isSetupWizardOpen(), false);
+
+    fs.rmSync(helper.credentialsStore.filePath, { force: true });
+  });
+
+  it("rejects malformed keys and unknown profiles", async () => {
+    mock.method(axios, "get", fakeSteamApi([]).get);
+    const helper = wizardHelper();
+
+    await assert.rejects(helper.completeSetup("not-a-key", OWNER_ID), /32 hexadecimal/);
+    await assert.rejects(helper.completeSetup(API_KEY, ""), /SteamID or profile URL/);
+    await assert.rejects(helper.completeSetup(API_KEY, "nobody"), /Could not find a Steam profile/);
+    assert.equal(helper.pollInterval, null);
+  });
+
+  it("explains Steam errors", async () => {
+    const helper = wizardHelper();
+
+    mock.method(axios, "get", async () => {
+      const error = new Error("Request failed with status code 403");
+      error.response = { status: 403 };
+      throw error;
+    });
+    await assert.rejects(helper.completeSetup(API_KEY, OWNER_ID), /rejected the API key/);
+
+    mock.restoreAll();
+    mock.method(axios, "get", async () => {
+      const error = new Error("Request failed with status code 401");
+      error.response = { status: 401 };
+      throw error;
+    });
+    await assert.rejects(helper.completeSetup(API_KEY, OWNER_ID), /private/);
+  });
+
+  it("applies stored credentials on INIT", async () => {
+    mock.method(axios, "get", fakeSteamApi([]).get);
+    const helper = wizardHelper();
+    await helper.credentialsStore.save({ steamApiKey: API_KEY, steamId: OWNER_ID });
+
+    await helper.socketNotificationReceived("INIT", { identifier: IDENTIFIER, config: { ...helper.config } });
+
+    assert.equal(helper.config.steamId, OWNER_ID);
+    assert.deepEqual(helper.sent.map(s => s.notification), ["SETUP_COMPLETE", "FRIENDS_UPDATE"]);
+
+    fs.rmSync(helper.credentialsStore.filePath, { force: true });
+  });
+
+  it("serves the form and handles submissions through the express app", async () => {
+    mock.method(axios, "get", fakeSteamApi([]).get);
+    const app = fakeExpressApp();
+    const helper = wizardHelper(app);
+
+    const getRes = fakeResponse();
+    app.routes["GET /MMM-SteamFriends/setup"]({}, getRes);
+    assert.match(getRes.body, /<form method="post">/);
+
+    const badRes = fakeResponse();
+    await app.routes["POST /MMM-SteamFriends/setup"]({ body: { apiKey: "x", steamId: "<b>me</b>" } }, badRes);
+    assert.equal(badRes.statusCode, 400);
+    assert.match(badRes.body, /value="&lt;b&gt;me&lt;\/b&gt;"/);
+
+    const okRes = fakeResponse();
+    await app.routes["POST /MMM-SteamFriends/setup"]({ body: { apiKey: API_KEY, steamId: OWNER_ID } }, okRes);
+    assert.equal(okRes.statusCode, 200);
+    assert.match(okRes.body, /Saved/);
+
+    const closedRes = fakeResponse();
+    await app.routes["POST /MMM-SteamFriends/setup"]({ body: { apiKey: API_KEY, steamId: OWNER_ID } }, closedRes);
+    assert.equal(closedRes.statusCode, 403);
+
+    fs.rmSync(helper.credentialsStore.filePath, { force: true });
+  });
+
+  it("shows the page and its errors in the mirror language", async () => {
+    mock.method(axios, "get", fakeSteamApi([]).get);
+    const app = fakeExpressApp();
+    const helper = wizardHelper(app);
+    helper.language = "de";
+
+    const getRes = fakeResponse();
+    app.routes["GET /MMM-SteamFriends/setup"]({}, getRes);
+    assert.match(getRes.body, /<html lang="de">/);
+    assert.match(getRes.body, /<h1>Steam Friends einrichten<\/h1>/);
+    assert.match(getRes.body, /Einen Schlüssel gibt es unter <a href="https:\/\/steamcommunity.com\/dev\/apikey">/);
+
+    const badRes = fakeResponse();
+    await app.routes["POST /MMM-SteamFriends/setup"]({ body: { apiKey: API_KEY, steamId: "nobody" } }, badRes);
+    assert.match(badRes.body, /Kein Steam-Profil für &quot;nobody&quot; gefunden/);
+
+    const error = new Error("connect ECONNREFUSED");
+    error.code = "ECONNREFUSED";
+    assert.equal(helper.describeSetupError(error), "Steam ist nicht erreichbar (ECONNREFUSED).");
+  });
+
+  it("turns away a second submission while the first is running", async () => {
+    mock.method(axios, "get", fakeSteamApi([]).get);
+    const app = fakeExpressApp();
+    const helper = wizardHelper(app);
+    const body = { apiKey: API_KEY, steamId: OWNER_ID };
+
+    const responses = [fakeResponse(), fakeResponse()];
+    await Promise.all(responses.map(res => app.routes["POST /MMM-SteamFriends/setup"]({ body }, res)));
+
+    assert.deepEqual(responses.map(res => res.statusCode), [200, 400]);
+    assert.match(responses[1].body, /already being completed/);
+    assert.equal(global.setInterval.mock.callCount(), 1);
+
+    fs.rmSync(helper.credentialsStore.filePath, { force: true });
+  });
+
+  it("replaces the poll interval when polling restarts", async () => {
+    mock.method(axios, "get", fakeSteamApi([]).get);
+    const helper = wizardHelper();
+    const cleared = [];
+    mock.method(global, "clearInterval", interval => cleared.push(interval));
+    helper.config.steamApiKey = API_KEY;
+    helper.config.steamId = OWNER_ID;
+
+    await helper.startPolling();
+    const first = helper.pollInterval;
+    await helper.startPolling();
+
+    assert.deepEqual(cleared, [null, first]);
+    assert.notEqual(helper.pollInterval, first);
+  });
+
+  it("adds the wizard QR code while setup is open", async () => {
+    const helper = wizardHelper();
+    helper.config.setupWizard.publicUrl = "http://mirror.local:8080/MMM-SteamFriends/setup";
+
+    await helper.sendSetupQrCodes();
+
+    const [first] = helper.sent[0].payload;
+    assert.equal(first.label, "Mirror Setup");
+    assert.equal(first.url, "http://mirror.local:8080/MMM-SteamFriends/setup");
+  });
+});
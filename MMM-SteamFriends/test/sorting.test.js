@@ -0,0 +1,58 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHelper } = require("./helpers/load-helper");
+
+describe("mapPersonaState", () => {
+  it("maps every Steam persona state", () => {
+    const helper = createHelper();
+    assert.deepEqual(
+      [0, 1, 2, 3, 4, 5, 6].map(state => helper.mapPersonaState(state)),
+      ["Offline", "Online", "Busy", "Away", "Snooze", "Looking to trade", "Looking to play"]
+    );
+  });
+
+  it("falls back to Offline for unknown states", () => {
+    const helper = createHelper();
+    assert.equal(helper.mapPersonaState(7), "Offline");
+    assert.equal(helper.mapPersonaState(undefined), "Offline");
+  });
+});
+
+describe("chunkArray", () => {
+  it("splits into chunks of the given size", () => {
+    const helper = createHelper();
+    assert.deepEqual(helper.chunkArray([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+  });
+
+  it("returns no chunks for an empty array", () => {
+    const helper = createHelper();
+    assert.deepEqual(helper.chunkArray([], 100), []);
+  });
+});
+
+describe("sortByConfig", () => {
+  const friends = [
+    { name: "Charlie", lastLogOff: 100, totalPlaytime: 50 },
+    { name: "alpha", lastLogOff: 300, totalPlaytime: 10 },
+    { name: "Bravo", lastLogOff: 300 },
+    { name: "Delta", totalPlaytime: 50 }
+  ];
+
+  function sortedNames(sortFriends) {
+    const helper = createHelper({ sortFriends });
+    return [...friends].sort((a, b) => helper.sortByConfig(a, b)).map(f => f.name);
+  }
+
+  it("sorts alphabetically by default", () => {
+    assert.deepEqual(sortedNames(undefined), ["alpha", "Bravo", "Charlie", "Delta"]);
+    assert.deepEqual(sortedNames("unknown"), ["alpha", "Bravo", "Charlie", "Delta"]);
+  });
+
+  it("sorts by most recent logoff, then name", () => {
+    assert.deepEqual(sortedNames("recentActivity"), ["alpha", "Bravo", "Charlie", "Delta"]);
+  });
+
+  it("sorts by total playtime, then name", () => {
+    assert.deepEqual(sortedNames("totalPlaytime"), ["Charlie", "Delta", "alpha", "Bravo"]);
+  });
+});
@@ -0,0 +1,161 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const axios = require("axios");
+const { Helper, createHelper, player, fakeSteamApi } = require("./helpers/load-helper");
+
+const { ActivityLog } = Helper;
+
+const MINUTE = 60000;
+const DAY = 24 * 60 * MINUTE;
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "steamfriends-test-"));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function friend(id, overrides = {}) {
+  return { id, name: `Friend ${id}`, state: "online", inGame: false, game: "", gameId: null, ...overrides };
+}
+
+function playing(id, gameId, game) {
+  return friend(id, { inGame: true, gameId, game });
+}
+
+// Poll every minute between start and end with the same snapshot
+function recordPolls(log, friends, start, end) {
+  for (let at = start; at <= end; at += MINUTE) {
+    log.record(friends, at);
+  }
+}
+
+describe("ActivityLog", () => {
+  it("credits the time between polls to online and in-game friends", () => {
+    const log = new ActivityLog(path.join(tmpDir, "activity.json"));
+    const start = new Date(2026, 9, 19, 20, 0).getTime();
+    recordPolls(log, [playing("1", "730", "Counter-Strike 2"), friend("2"), friend("3", { state: "offline" })], start, start + 30 * MINUTE);
+
+    const stats = log.computeStats(start + 30 * MINUTE);
+    assert.deepEqual(stats.topGames, [{ gameId: "730", game: "Counter-Strike 2", hours: 0.5, players: 1 }]);
+    assert.deepEqual(stats.friends, [{ id: "1", name: "Friend 1", hours: 0.5 }]);
+    assert.equal(stats.busiestHours[20], 1);
+    assert.equal(stats.busiestHours.reduce((sum, hours) => sum + hours, 0), 1);
+  });
+
+  it("skips gaps longer than the allowed poll gap", () => {
+    const log = new ActivityLog(path.join(tmpDir, "activity.json"));
+    const start = new Date(2026, 9, 19, 20, 0).getTime();
+    log.record([playing("1", "730", "Counter-Strike 2")], start);
+    log.record([playing("1", "730", "Counter-Strike 2")], start + 3 * 60 * MINUTE, 2 * MINUTE);
+
+    assert.deepEqual(log.computeStats(start + 3 * 60 * MINUTE).topGames, []);
+  });
+
+  it("ranks games by hours and counts distinct players", () => {
+    const log = new ActivityLog(path.join(tmpDir, "activity.json"));
+    const start = new Date(2026, 9, 19, 18, 0).getTime();
+    recordPolls(log, [
+      playing("1", "570", "Dota 2"),
+      playing("2", "730", "Counter-Strike 2"),
+      playing("3", "730", "Counter-Strike 2")
+    ], start, start + 60 * MINUTE);
+
+    const stats = log.computeStats(start + 60 * MINUTE, { topGames: 1 });
+    assert.deepEqual(stats.topGames, [{ gameId: "730", game: "Counter-Strike 2", hours: 2, players: 2 }]);
+  });
+
+  it("drops hours older than the rolling window", () => {
+    const log = new ActivityLog(path.join(tmpDir, "activity.json"), 7);
+    const start = new Date(2026, 9, 1, 20, 0).getTime();
+    recordPolls(log, [playing("1", "730", "Counter-Strike 2")], start, start + 10 * MINUTE);
+
+    log.record([friend("1")], start + 9 * DAY);
+    assert.deepEqual(log.computeStats(start + 9 * DAY).friends, []);
+  });
+
+  it("forgets names of friends and games outside the rolling window", () => {
+    const log = new ActivityLog(path.join(tmpDir, "activity.json"), 7);
+    const start = new Date(2026, 9, 1, 20, 0).getTime();
+    recordPolls(log, [playing("1", "730", "Counter-Strike 2"), friend("2")], start, start + 10 * MINUTE);
+
+    log.record([playing("3", "570", "Dota 2")], start + 9 * DAY);
+    assert.deepEqual(Object.keys(log.friends), ["3"]);
+    assert.deepEqual(log.games, { 570: "Dota 2" });
+  });
+
+  it("starts empty when the file cannot be read", async () => {
+    const cachePath = path.join(tmpDir, "activity.json");
+    const log = new ActivityLog(cachePath);
+    recordPolls(log, [playing("1", "730", "Counter-Strike 2")], 0, 5 * MINUTE);
+    fs.writeFileSync(cachePath, "{ not json");
+
+    await log.load();
+    assert.deepEqual([log.hours.size, log.friends, log.games, log.lastRecordAt], [0, {}, {}, null]);
+  });
+
+  it("counts play streaks ending today or yesterday", () => {
+    const log = new ActivityLog(path.join(tmpDir, "activity.json"));
+    const today = new Date(2026, 9, 19, 21, 0).getTime();
+    for (let daysAgo = 3; daysAgo >= 0; daysAgo--) {
+      const evening = today - daysAgo * DAY;
+      recordPolls(log, [playing("1", "730", "Counter-Strike 2"), friend("2")], evening, evening + 5 * MINUTE);
+      if (daysAgo >= 1) {
+        recordPolls(log, [friend("1"), playing("2", "570", "Dota 2")], evening + 10 * MINUTE, evening + 15 * MINUTE);
+      }
+    }
+
+    const stats = log.computeStats(today + 30 * MINUTE);
+    assert.deepEqual(stats.streaks, [
+      { id: "1", name: "Friend 1", days: 4 },
+      { id: "2", name: "Friend 2", days: 3 }
+    ]);
+  });
+
+  it("persists and reloads the log", async () => {
+    const cachePath = path.join(tmpDir, "activity.json");
+    const log = new ActivityLog(cachePath);
+    const start = new Date(2026, 9, 19, 20, 0).getTime();
+    recordPolls(log, [playing("1", "730", "Counter-Strike 2")], start, start + 6 * MINUTE);
+    await log.save();
+
+    const reloaded = new ActivityLog(cachePath);
+    await reloaded.load();
+    assert.deepEqual(reloaded.computeStats(start + 6 * MINUTE), log.computeStats(start + 6 * MINUTE));
+  });
+});
+
+describe("fetchFriends with stats", () => {
+  it("sends activity stats when a poll changes them", async () => {
+    mock.method(axios, "get", fakeSteamApi([
+      player("76561198000000001", { personaname: "Alpha", gameid: "730", gameextrainfo: "Counter-Strike 2" })
+    ]).get);
+
+    let now = new Date(2026, 9, 19, 20, 0).getTime();
+    mock.method(Date, "now", () => now);
+
+    const helper = createHelper({ stats: { enabled: true } });
+    const statsUpdates = () => helper.sent.filter(s => s.notification === "ACTIVITY_STATS");
+
+    await helper.fetchFriends();
+    assert.equal(statsUpdates().length, 1);
+    assert.deepEqual(statsUpdates()[0].payload.topGames, []);
+    assert.equal(statsUpdates()[0].payload.busiestHours.length, 24);
+
+    now += 60 * MINUTE;
+    await helper.fetchFriends();
+    assert.equal(statsUpdates().length, 1, "gaps longer than two update intervals are not credited");
+
+    now += MINUTE;
+    await helper.fetchFriends();
+    assert.equal(statsUpdates().length, 2);
+    assert.deepEqual(statsUpdates()[1].payload.friends, [{ id: "76561198000000001", name: "Alpha", hours: 0 }]);
+  });
+});
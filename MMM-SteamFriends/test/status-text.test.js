@@ -0,0 +1,129 @@
+const { describe, it, before, after, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const axios = require("axios");
+const { createHelper, player, fakeSteamApi } = require("./helpers/load-helper");
+const { createModule } = require("./helpers/load-module");
+
+const MINUTE = 60000;
+const NOW = 1700000000000;
+
+// Just enough of the DOM for renderStatusText: elements with children, text and dataset
+function createFakeElement() {
+  return {
+    className: "",
+    dataset: {},
+    children: [],
+    appendChild(child) {
+      this.children.push(child);
+    },
+    get textContent() {
+      return this.children.map(child => child.textContent).join("");
+    },
+    set textContent(text) {
+      this.children = text ? [{ textContent: text }] : [];
+    }
+  };
+}
+
+describe("status text in the helper", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("times each persona state from the first change it sees", async () => {
+    const players = [
+      player("76561198000000001", { personaname: "Alpha", personastate: 1 }),
+      player("76561198000000002", { personaname: "Bravo", personastate: 3 })
+    ];
+    mock.method(axios, "get", fakeSteamApi(players).get);
+    let now = NOW;
+    mock.method(Date, "now", () => now);
+    const helper = createHelper({ showStatusText: true });
+
+    await helper.fetchFriends();
+    now += 5 * MINUTE;
+    players[0].personastate = 3;
+    await helper.fetchFriends();
+    now += 5 * MINUTE;
+    await helper.fetchFriends();
+
+    const updates = helper.sent.filter(s => s.notification === "FRIENDS_UPDATE").map(s => s.payload);
+    assert.deepEqual(updates[0].map(f => f.stateSince), [undefined, undefined]);
+    assert.deepEqual(updates[updates.length - 1].map(f => [f.name, f.state, f.stateSince]), [
+      ["Alpha", "away", NOW + 5 * MINUTE],
+      ["Bravo", "away", undefined]
+    ]);
+  });
+
+  it("leaves friends untouched when the column is off", async () => {
+    mock.method(axios, "get", fakeSteamApi([player("76561198000000001")]).get);
+    const helper = createHelper();
+
+    await helper.fetchFriends();
+    await helper.fetchFriends();
+
+    assert.equal(helper.sent[0].payload[0].stateSince, undefined);
+    assert.equal(helper.stateSince.size, 0);
+  });
+});
+
+describe("status text in the frontend", () => {
+  before(() => {
+    global.document = {
+      createElement: () => createFakeElement(),
+      createTextNode: text => ({ textContent: text })
+    };
+    mock.method(Date, "now", () => NOW);
+  });
+
+  after(() => {
+    delete global.document;
+    mock.restoreAll();
+  });
+
+  function render(friend, language = "en") {
+    const cell = createFakeElement();
+    createModule({ showStatusText: true }, { language }).renderStatusText(cell, friend);
+    return cell;
+  }
+
+  it("shows the state and how long it lasts", () => {
+    const cell = render({ state: "away", inGame: false, stateSince: NOW - 12 * MINUTE });
+    assert.equal(cell.textContent, "Away · 12m");
+    assert.equal(cell.className, "status-text away");
+    assert.equal(cell.children[2].className, "relative-time");
+  });
+
+  it("shows when offline friends were last online", () => {
+    const lastLogOff = (NOW - 3 * 24 * 60 * MINUTE) / 1000;
+    assert.equal(render({ state: "offline", inGame: false, lastLogOff }).textContent, "Last online 3 days ago");
+    assert.equal(render({ state: "offline", inGame: false, lastLogOff }, "de").textContent, "Zuletzt online vor 3 Tagen");
+  });
+
+  it("falls back to the state alone and stays empty in game", () => {
+    assert.equal(render({ state: "play", inGame: false }).textContent, "Looking to play");
+    assert.equal(render({ state: "offline", inGame: false }).textContent, "Offline");
+    assert.equal(render({ state: "online", inGame: true, game: "Dota 2" }).textContent, "");
+  });
+
+  it("colors the status from the state code", () => {
+    const module = createModule();
+    assert.deepEqual(
+      ["online", "busy", "away", "snooze", "trade", "play", "offline", undefined].map(state => module.getStatusClass({ state, inGame: false })),
+      ["online", "busy", "away", "snooze", "online", "online", "offline", "offline"]
+    );
+    assert.equal(module.getStatusClass({ state: "away", inGame: true }), "ingame");
+  });
+
+  it("widens section header rows by the column", () => {
+    assert.equal(createModule({ showStatusText: true, showPlatform: false }).getColumnCount(), 6);
+    assert.equal(createModule({ showStatusText: true, showPlatform: true }).getColumnCount(), 7);
+  });
+
+  it("re-renders only when the shown status changed", () => {
+    const module = createModule({ showStatusText: true });
+    const friend = { state: "away", inGame: false, stateSince: NOW, lastLogOff: 1 };
+    assert.equal(module.getStatusTextSignature(friend), module.getStatusTextSignature({ ...friend, game: "" }));
+    assert.notEqual(module.getStatusTextSignature(friend), module.getStatusTextSignature({ ...friend, stateSince: NOW + MINUTE }));
+  });
+});
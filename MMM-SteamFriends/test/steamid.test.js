@@ -0,0 +1,103 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const axios = require("axios");
+const { createHelper, player, fakeSteamApi } = require("./helpers/load-helper");
+
+const OWNER_ID = "76561198000000000";
+
+describe("parseSteamId", () => {
+  const helper = createHelper();
+
+  it("accepts SteamID64 and profile URLs", () => {
+    assert.equal(helper.parseSteamId("76561197960287930"), "76561197960287930");
+    assert.equal(helper.parseSteamId(" 76561197960287930 "), "76561197960287930");
+    assert.equal(helper.parseSteamId("https://steamcommunity.com/profiles/76561197960287930/"), "76561197960287930");
+  });
+
+  it("converts SteamID2 and SteamID3", () => {
+    assert.equal(helper.parseSteamId("STEAM_0:0:11101"), "76561197960287930");
+    assert.equal(helper.parseSteamId("STEAM_1:1:11101"), "76561197960287931");
+    assert.equal(helper.parseSteamId("[U:1:22202]"), "76561197960287930");
+    assert.equal(helper.parseSteamId("U:1:22202"), "76561197960287930");
+  });
+
+  it("returns null for vanity names", () => {
+    assert.equal(helper.parseSteamId("gabelogannewell"), null);
+    assert.equal(helper.parseSteamId("https://steamcommunity.com/id/gabelogannewell"), null);
+  });
+});
+
+describe("resolveSteamId", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("resolves vanity names and URLs once and caches the result", async () => {
+    const api = fakeSteamApi([], { vanity: { mirrorowner: OWNER_ID } });
+    mock.method(axios, "get", api.get);
+    const helper = createHelper();
+
+    assert.equal(await helper.resolveSteamId("https://steamcommunity.com/id/MirrorOwner/", "key"), OWNER_ID);
+    assert.equal(await helper.resolveSteamId("mirrorowner", "key"), OWNER_ID);
+    assert.equal(api.calls.length, 1);
+    assert.equal(helper.steamIdCache.get("mirrorowner").steamId, OWNER_ID);
+  });
+
+  it("falls back to a stale mapping when Steam is unreachable", async () => {
+    mock.method(axios, "get", async () => {
+      throw new Error("timeout");
+    });
+    const helper = createHelper();
+    helper.steamIdCache.cache.set("mirrorowner", { steamId: OWNER_ID, cachedAt: 0 });
+
+    assert.equal(await helper.resolveSteamId("mirrorowner", "key"), OWNER_ID);
+  });
+
+  it("does not reuse a stale mapping for a vanity name that no longer exists", async () => {
+    mock.method(axios, "get", fakeSteamApi([]).get);
+    const helper = createHelper();
+    helper.steamIdCache.cache.set("mirrorowner", { steamId: OWNER_ID, cachedAt: 0 });
+
+    await assert.rejects(helper.resolveSteamId("mirrorowner", "key"), /Could not find a Steam profile/);
+  });
+});
+
+describe("fetchFriends with vanity IDs", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("resolves steamId and mixed-format allowlist entries", async () => {
+    const players = [
+      player("76561197960287930"),
+      player("76561198000000001"),
+      player("76561198000000002"),
+      player("76561198000000003")
+    ];
+    const api = fakeSteamApi(players, {
+      vanity: { mirrorowner: OWNER_ID, alpha: "76561198000000001" }
+    });
+    mock.method(axios, "get", api.get);
+    mock.method(console, "warn", () => {});
+
+    const helper = createHelper({
+      steamId: "https://steamcommunity.com/id/mirrorowner",
+      friendAllowlist: ["STEAM_0:0:11101", "alpha", "[U:1:39734274]", "nobody"]
+    });
+    await helper.fetchFriends();
+    await helper.fetchFriends();
+
+    const friendListUrl = api.calls.find(url => url.includes("GetFriendList"));
+    assert.equal(new URL(friendListUrl).searchParams.get("steamid"), OWNER_ID);
+
+    const update = helper.sent.find(s => s.notification === "FRIENDS_UPDATE");
+    assert.deepEqual(
+      update.payload.map(f => f.id).sort(),
+      ["76561197960287930", "76561198000000001", "76561198000000002"]
+    );
+
+    // mirrorowner, alpha and nobody are looked up only on the first poll
+    assert.equal(api.calls.filter(url => url.includes("ResolveVanityURL")).length, 3);
+    assert.equal(console.warn.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,161 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const axios = require("axios");
+const { createHelper, player, fakeSteamApi } = require("./helpers/load-helper");
+const {
+  snapshotFriends,
+  diffSnapshots,
+  buildRequest,
+  isQuietTime,
+  WebhookDispatcher
+} = require("../lib/webhooks");
+
+function friend(id, overrides = {}) {
+  return { id, name: `Friend ${id}`, status: "Online", state: "online", inGame: false, game: "", gameId: null, ...overrides };
+}
+
+function gameStart(id = "1", game = "Counter-Strike 2", gameId = "730") {
+  return { event: "game_start", friend: friend(id, { inGame: true, game, gameId }), previous: friend(id) };
+}
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe("diffSnapshots", () => {
+  it("detects online, game and offline transitions", () => {
+    const previous = snapshotFriends([
+      friend("1", { status: "Offline", state: "offline" }),
+      friend("2", { inGame: true, game: "Dota 2", gameId: "570" }),
+      friend("3", { inGame: true, game: "Dota 2", gameId: "570" })
+    ]);
+    const current = snapshotFriends([
+      friend("1", { inGame: true, game: "Counter-Strike 2", gameId: "730" }),
+      friend("2", { inGame: true, game: "Counter-Strike 2", gameId: "730" }),
+      friend("3", { status: "Offline", state: "offline" }),
+      friend("4")
+    ]);
+
+    assert.deepEqual(diffSnapshots(previous, current).map(t => [t.event, t.friend.id]), [
+      ["online", "1"],
+      ["game_start", "1"],
+      ["game_change", "2"],
+      ["game_stop", "3"],
+      ["offline", "3"]
+    ]);
+  });
+});
+
+describe("buildRequest", () => {
+  it("renders the generic JSON template", () => {
+    const request = buildRequest({
+      url: "http://localhost:8123/api/webhook/steam",
+      template: { text: "{{name}} → {{game}} ({{gameId}})", kind: "{{event}}", tags: ["steam", "{{id}}"] }
+    }, gameStart());
+
+    assert.equal(request.url, "http://localhost:8123/api/webhook/steam");
+    assert.deepEqual(request.body, { text: "Friend 1 → Counter-Strike 2 (730)", kind: "game_start", tags: ["steam", "1"] });
+  });
+
+  it("shapes ntfy, Gotify and Discord requests", () => {
+    const ntfy = buildRequest({ preset: "ntfy", url: "https://ntfy.sh/mirror", token: "tk" }, gameStart());
+    assert.equal(ntfy.body, "Friend 1 started playing Counter-Strike 2");
+    assert.equal(ntfy.headers.Authorization, "Bearer tk");
+    assert.equal(ntfy.headers.Title, "Steam Friends");
+
+    const gotify = buildRequest({ preset: "gotify", url: "http://gotify.local/", token: "app" }, gameStart());
+    assert.equal(gotify.url, "http://gotify.local/message");
+    assert.equal(gotify.headers["X-Gotify-Key"], "app");
+    assert.deepEqual(gotify.body, { title: "Steam Friends", message: "Friend 1 started playing Counter-Strike 2", priority: 5 });
+
+    const discord = buildRequest({ preset: "discord", url: "https://discord.com/api/webhooks/1/x" }, gameStart());
+    assert.deepEqual(discord.body, { username: "Steam Friends", content: "Friend 1 started playing Counter-Strike 2" });
+  });
+});
+
+describe("isQuietTime", () => {
+  const at = (hours, minutes = 0) => new Date(2026, 9, 19, hours, minutes);
+
+  it("handles ranges within a day and past midnight", () => {
+    assert.equal(isQuietTime({ start: "13:00", end: "14:30" }, at(14, 0)), true);
+    assert.equal(isQuietTime({ start: "13:00", end: "14:30" }, at(14, 30)), false);
+    assert.equal(isQuietTime({ start: "23:00", end: "07:00" }, at(23, 30)), true);
+    assert.equal(isQuietTime({ start: "23:00", end: "07:00" }, at(6, 59)), true);
+    assert.equal(isQuietTime({ start: "23:00", end: "07:00" }, at(12, 0)), false);
+    assert.equal(isQuietTime(undefined, at(3, 0)), false);
+  });
+});
+
+describe("WebhookDispatcher", () => {
+  it("filters by event, favorites and game", () => {
+    const dispatcher = new WebhookDispatcher([
+      { url: "http://a", games: ["counter-strike 2"] },
+      { url: "http://b", events: ["online", "game_start"] },
+      { url: "http://c", games: ["570"] }
+    ]);
+    const transitions = [
+      gameStart("1"),
+      gameStart("2", "Dota 2", "570"),
+      { event: "offline", friend: friend("3", { status: "Offline", state: "offline" }), previous: friend("3") }
+    ];
+
+    const deliveries = dispatcher.selectDeliveries(transitions, [undefined, new Set(["2"])]);
+    assert.deepEqual(deliveries.map(d => [d.hook.url, d.transition.friend.id]), [
+      ["http://a", "1"],
+      ["http://b", "2"],
+      ["http://c", "2"]
+    ]);
+  });
+
+  it("debounces repeats per friend and skips quiet hours", () => {
+    const dispatcher = new WebhookDispatcher([{ url: "http://a", debounceMinutes: 10 }]);
+    const start = new Date(2026, 9, 19, 20, 0).getTime();
+
+    assert.equal(dispatcher.selectDeliveries([gameStart()], [], start).length, 1);
+    assert.equal(dispatcher.selectDeliveries([gameStart()], [], start + 5 * 60000).length, 0);
+    assert.equal(dispatcher.selectDeliveries([gameStart("2")], [], start + 5 * 60000).length, 1);
+    assert.equal(dispatcher.selectDeliveries([gameStart()], [], start + 11 * 60000).length, 1);
+
+    const quiet = new WebhookDispatcher([{ url: "http://a", quietHours: { start: "19:00", end: "21:00" } }]);
+    assert.equal(quiet.selectDeliveries([gameStart()], [], start).length, 0);
+  });
+
+  it("logs failed deliveries without throwing", async () => {
+    mock.method(console, "warn", () => {});
+    const post = mock.method(axios, "post", async () => {
+      throw new Error("connect ECONNREFUSED");
+    });
+
+    const sent = await new WebhookDispatcher([{ url: "http://localhost:9" }]).dispatch([gameStart()]);
+    assert.equal(sent, 1);
+    assert.equal(post.mock.callCount(), 1);
+  });
+});
+
+describe("sendWebhooks", () => {
+  it("posts transitions between polls for favorite friends", async () => {
+    const players = [
+      player("76561198000000001", { personaname: "Alpha" }),
+      player("76561198000000002", { personaname: "Bravo" })
+    ];
+    mock.method(axios, "get", fakeSteamApi(players, { vanity: { alpha: "76561198000000001" } }).get);
+    const post = mock.method(axios, "post", async () => ({ status: 200 }));
+
+    const helper = createHelper({
+      webhooks: [{ preset: "discord", url: "http://localhost:8099/hook", favorites: ["alpha"], debounceMinutes: 0 }]
+    });
+    helper.webhookDispatcher = new WebhookDispatcher(helper.config.webhooks);
+
+    await helper.fetchFriends();
+    assert.deepEqual(helper.detectTransitions(helper.sent[0].payload), []);
+
+    const playing = helper.sent[0].payload.map(f => ({ ...f, inGame: true, game: "Counter-Strike 2", gameId: "730" }));
+    const transitions = helper.detectTransitions(playing);
+    assert.equal(transitions.length, 2);
+    assert.equal(await helper.sendWebhooks(transitions, "test-key"), 1);
+
+    const [url, body] = post.mock.calls.at(-1).arguments;
+    assert.equal(url, "http://localhost:8099/hook");
+    assert.equal(body.content, "Alpha started playing Counter-Strike 2");
+  });
+});